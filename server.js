@@ -4,6 +4,28 @@
 import dotenv from "dotenv";
 import express from "express";
 import cors from "cors";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import crypto from "crypto";
+import { Marked } from "marked";
+import {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  ExternalHyperlink,
+  HeadingLevel,
+  LevelFormat,
+  Packer,
+  Paragraph,
+  ShadingType,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType,
+} from "docx";
+import PDFDocument from "pdfkit";
 
 // ✅ Load .env explicitly
 dotenv.config();
@@ -12,7 +34,7 @@ const app = express();
 const PORT = process.env.PORT || 5000;
 
 // =====================================================
-// STEP 1: Google Sheets CSV URLs (same links as dashboard)
+// STEP 1: Data sources (Google Sheets CSV URLs are the defaults)
 // =====================================================
 const MONITORING_CSV_URL =
   "https://docs.google.com/spreadsheets/d/e/2PACX-1vQKiND_eb3gPR0spQHucadf14xH_rX5gRtpHShan_OWJqSThbHrcx8tqCa4V_3nXjqq3duum0i6XCSE/pub?gid=1298321526&single=true&output=csv";
@@ -20,6 +42,103 @@ const MONITORING_CSV_URL =
 const EVALUATION_CSV_URL =
   "https://docs.google.com/spreadsheets/d/e/2PACX-1vTd_zFcgy_c_5JDgK9wTVFLi5WeHTPF4uQBq9cOPl8vurc2DVu3DWrqwXiE1FmGcL5f2TtWjWLlGs1L/pub?gid=1608876672&single=true&output=csv";
 
+// Used when no datasets config file exists (same links as dashboard)
+const DEFAULT_DATASETS = [
+  { name: "monitoring", type: "monitoring", kind: "csv_url", url: MONITORING_CSV_URL, default: true },
+  { name: "evaluation", type: "evaluation", kind: "csv_url", url: EVALUATION_CSV_URL, default: true },
+];
+
+const DATASET_TYPES = ["monitoring", "evaluation", "targets", "other"];
+const DATASET_KINDS = ["csv_url", "json_url", "csv_file", "json_file", "upload"];
+const REMOTE_DATASET_KINDS = ["csv_url", "json_url"];
+
+const DATASETS_CONFIG_PATH = path.resolve(process.env.DATASETS_CONFIG || "config/datasets.json");
+const DATASET_UPLOAD_DIR = path.resolve(process.env.DATASET_UPLOAD_DIR || "uploads");
+
+// Registry config: { "datasets": [ { name, type, kind, url | path, label?, default? } ] }
+// Relative file paths are resolved against the config file's folder.
+async function loadDatasetRegistry() {
+  let configured = DEFAULT_DATASETS;
+  let baseDir = process.cwd();
+
+  try {
+    const raw = JSON.parse(await fs.readFile(DATASETS_CONFIG_PATH, "utf8"));
+    configured = Array.isArray(raw) ? raw : raw?.datasets;
+    baseDir = path.dirname(DATASETS_CONFIG_PATH);
+    if (!Array.isArray(configured) || !configured.length) {
+      throw new Error(`"datasets" must be a non-empty array`);
+    }
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      throw new Error(`Invalid datasets config ${DATASETS_CONFIG_PATH}: ${err.message}`);
+    }
+    configured = DEFAULT_DATASETS;
+    baseDir = process.cwd();
+  }
+
+  const registry = new Map();
+  for (const d of configured) {
+    const name = String(d?.name || "").trim();
+    const type = DATASET_TYPES.includes(d?.type) ? d.type : "other";
+    const kind = String(d?.kind || "").trim();
+
+    if (!name) throw new Error("Every dataset needs a name.");
+    if (registry.has(name)) throw new Error(`Duplicate dataset name "${name}".`);
+    if (!DATASET_KINDS.includes(kind)) {
+      throw new Error(`Dataset "${name}" has unknown kind "${kind}" (use ${DATASET_KINDS.join(", ")}).`);
+    }
+    if (REMOTE_DATASET_KINDS.includes(kind) && !d.url) throw new Error(`Dataset "${name}" needs a "url".`);
+    if ((kind === "csv_file" || kind === "json_file") && !d.path) {
+      throw new Error(`Dataset "${name}" needs a "path".`);
+    }
+
+    const filePath =
+      kind === "upload"
+        ? path.resolve(d.path ? path.resolve(baseDir, d.path) : path.join(DATASET_UPLOAD_DIR, `${name}.csv`))
+        : d.path
+        ? path.resolve(baseDir, d.path)
+        : "";
+
+    registry.set(name, {
+      name,
+      type,
+      kind,
+      label: d.label ? String(d.label) : name,
+      url: REMOTE_DATASET_KINDS.includes(kind) ? String(d.url) : "",
+      path: filePath,
+      isDefault: Boolean(d.default),
+      columns: d.columns && typeof d.columns === "object" ? d.columns : null,
+      scoring: d.scoring && typeof d.scoring === "object" ? d.scoring : null,
+    });
+  }
+
+  return registry;
+}
+
+const datasetRegistry = await loadDatasetRegistry();
+
+// Pick a dataset by name, or the default (else first) dataset of that type.
+function resolveDataset(name, type) {
+  const wanted = String(name || "").trim();
+  if (wanted) {
+    const d = datasetRegistry.get(wanted);
+    if (!d) {
+      const err = new Error(`Unknown dataset "${wanted}".`);
+      err.status = 400;
+      throw err;
+    }
+    if (type && d.type !== type) {
+      const err = new Error(`Dataset "${wanted}" is a ${d.type} dataset, not ${type}.`);
+      err.status = 400;
+      throw err;
+    }
+    return d;
+  }
+
+  const ofType = [...datasetRegistry.values()].filter((d) => d.type === type);
+  return ofType.find((d) => d.isDefault) || ofType[0] || null;
+}
+
 // =====================================================
 // Middleware
 // =====================================================
@@ -41,16 +160,27 @@ const extraOrigins = (process.env.ALLOWED_ORIGINS || "")
 
 const finalAllowedOrigins = [...new Set([...allowedOrigins, ...extraOrigins])];
 
+// CORS_STRICT=true: only the origins above (plus ALLOWED_ORIGINS) may call the API
+const CORS_STRICT = ["1", "true", "yes"].includes(String(process.env.CORS_STRICT || "").trim().toLowerCase());
+
+if (CORS_STRICT) {
+  app.use((req, res, next) => {
+    const origin = req.headers.origin;
+    if (!origin || finalAllowedOrigins.includes(origin)) return next();
+    return res.status(403).json({ success: false, error: `Origin ${origin} is not allowed.` });
+  });
+}
+
 app.use(
   cors({
     origin: (origin, cb) => {
       if (!origin) return cb(null, true);
       if (finalAllowedOrigins.includes(origin)) return cb(null, true);
 
-      // keep permissive; change to cb(null, false) for strict lock-down
-      return cb(null, true);
+      // permissive unless CORS_STRICT is set
+      return cb(null, !CORS_STRICT);
     },
-    methods: ["GET", "POST", "OPTIONS"],
+    methods: ["GET", "POST", "DELETE", "OPTIONS"],
     allowedHeaders: ["Content-Type", "Authorization"],
   })
 );
@@ -58,6 +188,129 @@ app.use(
 // Support bigger payloads safely (AI reports can be long)
 app.use(express.json({ limit: "2mb" }));
 
+// =====================================================
+// Authentication & roles
+// =====================================================
+// Callers send "Authorization: Bearer <token>" where the token is either an
+// API key from API_KEYS ("key:role:name,key:role:name") or an HS256 JWT
+// signed with AUTH_JWT_SECRET carrying "sub" and "role" claims.
+// Auth is enforced as soon as either is configured; otherwise every caller
+// is treated as an anonymous admin (local development).
+const ROLE_LEVELS = { viewer: 1, analyst: 2, admin: 3 };
+
+// Intents that need more than the viewer role
+const INTENT_MIN_ROLE = { REPORT: "analyst" };
+
+const AUTH_JWT_SECRET = process.env.AUTH_JWT_SECRET || "";
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest();
+}
+
+function parseApiKeys(raw) {
+  return String(raw || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [key, role = "viewer", name = ""] = entry.split(":").map((x) => x.trim());
+      if (!ROLE_LEVELS[role]) throw new Error(`API_KEYS: unknown role "${role}" (use viewer, analyst, admin).`);
+      return { hash: hashKey(key), role, name: name || `key-${hashKey(key).toString("hex").slice(0, 8)}` };
+    });
+}
+
+const apiKeys = parseApiKeys(process.env.API_KEYS);
+const AUTH_ENABLED = apiKeys.length > 0 || Boolean(AUTH_JWT_SECRET);
+
+if (!AUTH_ENABLED) {
+  console.warn("Auth: no API_KEYS or AUTH_JWT_SECRET configured — API is open to anyone.");
+}
+
+function base64UrlDecode(part) {
+  return Buffer.from(String(part).replace(/-/g, "+").replace(/_/g, "/"), "base64");
+}
+
+// Returns the verified JWT payload, or throws with a reason.
+function verifyJwt(token) {
+  const [headerB64, payloadB64, signatureB64] = token.split(".");
+  const header = JSON.parse(base64UrlDecode(headerB64).toString("utf8"));
+  if (header?.alg !== "HS256") throw new Error("unsupported JWT algorithm");
+
+  const expected = crypto.createHmac("sha256", AUTH_JWT_SECRET).update(`${headerB64}.${payloadB64}`).digest();
+  const actual = base64UrlDecode(signatureB64);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new Error("invalid JWT signature");
+  }
+
+  const payload = JSON.parse(base64UrlDecode(payloadB64).toString("utf8"));
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp === "number" && now >= payload.exp) throw new Error("JWT has expired");
+  if (typeof payload.nbf === "number" && now < payload.nbf) throw new Error("JWT is not valid yet");
+  return payload;
+}
+
+function highestRole(claim) {
+  const roles = (Array.isArray(claim) ? claim : [claim]).filter((r) => ROLE_LEVELS[r]);
+  return roles.sort((a, b) => ROLE_LEVELS[b] - ROLE_LEVELS[a])[0] || "viewer";
+}
+
+// Resolve the bearer token to { id, role, auth } or null when it is unknown.
+function authenticateToken(token) {
+  if (AUTH_JWT_SECRET && token.split(".").length === 3) {
+    const payload = verifyJwt(token);
+    return {
+      id: String(payload.sub || payload.email || "jwt-user"),
+      role: highestRole(payload.role ?? payload.roles),
+      auth: "jwt",
+    };
+  }
+
+  const hash = hashKey(token);
+  const match = apiKeys.find((k) => crypto.timingSafeEqual(k.hash, hash));
+  return match ? { id: match.name, role: match.role, auth: "api_key" } : null;
+}
+
+function hasRole(user, role) {
+  return (ROLE_LEVELS[user?.role] || 0) >= (ROLE_LEVELS[role] || 0);
+}
+
+function authError(res, status, error) {
+  if (status === 401) res.setHeader("WWW-Authenticate", 'Bearer realm="promel"');
+  return res.status(status).json({ success: false, error });
+}
+
+// Every /api route needs at least a viewer; stricter routes add requireRole().
+app.use("/api", (req, res, next) => {
+  if (!AUTH_ENABLED) {
+    req.user = { id: "anonymous", role: "admin", auth: "none" };
+    return next();
+  }
+
+  const header = String(req.headers.authorization || "");
+  const token = header.toLowerCase().startsWith("bearer ") ? header.slice(7).trim() : "";
+  if (!token) return authError(res, 401, "Missing bearer token.");
+
+  try {
+    const user = authenticateToken(token);
+    if (!user) return authError(res, 401, "Invalid API key.");
+    req.user = user;
+    return next();
+  } catch (err) {
+    return authError(res, 401, `Invalid token: ${err.message}`);
+  }
+});
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (hasRole(req.user, role)) return next();
+    return authError(res, 403, `This action needs the ${role} role.`);
+  };
+}
+
+app.get("/api/auth/me", (req, res) => {
+  return res.json({ success: true, user: req.user, auth_enabled: AUTH_ENABLED });
+});
+
 // Simple health check
 app.get("/", (req, res) => {
   res.send("ProMEL OpenAI backend is running ✅");
@@ -66,10 +319,21 @@ app.get("/", (req, res) => {
 // =====================================================
 // STEP 2: Helpers — fetch CSV + parse CSV (robust)
 // =====================================================
-async function fetchCsvText(url) {
-  const res = await fetch(url);
+async function fetchCsvText(url, { etag, lastModified } = {}) {
+  const headers = {};
+  if (etag) headers["If-None-Match"] = etag;
+  if (lastModified) headers["If-Modified-Since"] = lastModified;
+
+  const res = await fetch(url, { headers });
+  if (res.status === 304) return { notModified: true, etag, lastModified };
   if (!res.ok) throw new Error(`Failed to fetch CSV (${res.status}) ${url}`);
-  return await res.text();
+
+  return {
+    notModified: false,
+    text: await res.text(),
+    etag: res.headers.get("etag") || "",
+    lastModified: res.headers.get("last-modified") || "",
+  };
 }
 
 // Robust CSV parser (handles commas inside quotes)
@@ -121,543 +385,4612 @@ function parseCSV(text) {
   return rows.map((r) => r.map((c) => (c === undefined ? "" : String(c))));
 }
 
-function safeLower(s) {
-  return (s || "").trim().toLowerCase();
-}
-
-function findIndex(headersLower, exactName) {
-  return headersLower.indexOf(exactName);
-}
-
 // =====================================================
-// STEP 3: Filter + summarise functions (AI-friendly)
+// STEP 2b: Dataset cache (TTL + stale-while-revalidate)
 // =====================================================
-function filterMonitoringRows(rows, filters) {
-  if (!rows || rows.length <= 1) return { header: [], data: [] };
-
-  const header = rows[0];
-  const headersLower = header.map(safeLower);
+// Parsed rows are kept in memory (and optionally on disk) so a chat request
+// does not re-download both sheets every time. When a remote copy is older
+// than the TTL it is still served while a background refresh runs; if the
+// refresh fails the last good copy keeps being used. Local files are cheap to
+// check, so they are revalidated (by mtime) on every load.
+const DATASET_CACHE_TTL_MS = Math.max(0, Number(process.env.DATASET_CACHE_TTL_SECONDS || 300)) * 1000;
+const DATASET_CACHE_DIR = (process.env.DATASET_CACHE_DIR || "").trim();
+
+const datasetCache = new Map(); // dataset name -> { source, rows, fetchedAt, etag, lastModified, lastError }
+// dataset name -> in-flight refresh, shared by concurrent loads (including cold
+// first loads that have no cache entry yet)
+const datasetRefreshes = new Map();
+
+function datasetSourceKey(dataset) {
+  return REMOTE_DATASET_KINDS.includes(dataset.kind) ? dataset.url : `${dataset.kind}:${dataset.path}`;
+}
 
-  const idxProject = findIndex(headersLower, "project name");
-  const idxPeriod = findIndex(headersLower, "reporting period");
-  const idxLocation = findIndex(headersLower, "province / district / location");
+function datasetCacheFile(dataset) {
+  const key = crypto.createHash("sha1").update(datasetSourceKey(dataset)).digest("hex");
+  return path.join(DATASET_CACHE_DIR, `${key}.json`);
+}
 
-  const project = (filters?.project || "").trim();
-  const period = (filters?.period || "").trim();
-  const location = (filters?.location || "").trim();
+async function readDatasetFromDisk(dataset) {
+  if (!DATASET_CACHE_DIR || !REMOTE_DATASET_KINDS.includes(dataset.kind)) return null;
+  try {
+    const saved = JSON.parse(await fs.readFile(datasetCacheFile(dataset), "utf8"));
+    if (saved?.url !== dataset.url || !Array.isArray(saved.rows)) return null;
+    return {
+      source: datasetSourceKey(dataset),
+      rows: saved.rows,
+      fetchedAt: Number(saved.fetchedAt) || 0,
+      etag: saved.etag || "",
+      lastModified: saved.lastModified || "",
+      lastError: "",
+    };
+  } catch {
+    return null;
+  }
+}
 
-  const data = rows
-    .slice(1)
-    .filter((r) => !r.every((c) => String(c || "").trim() === ""));
+async function writeDatasetToDisk(dataset, entry) {
+  if (!DATASET_CACHE_DIR || !REMOTE_DATASET_KINDS.includes(dataset.kind)) return;
+  try {
+    await fs.mkdir(DATASET_CACHE_DIR, { recursive: true });
+    const payload = {
+      url: dataset.url,
+      rows: entry.rows,
+      fetchedAt: entry.fetchedAt,
+      etag: entry.etag,
+      lastModified: entry.lastModified,
+    };
+    await fs.writeFile(datasetCacheFile(dataset), JSON.stringify(payload));
+  } catch (err) {
+    console.warn("Dataset cache: could not write to disk:", err.message);
+  }
+}
 
-  const filtered = data.filter((r) => {
-    const p = idxProject !== -1 ? String(r[idxProject] || "").trim() : "";
-    const per = idxPeriod !== -1 ? String(r[idxPeriod] || "").trim() : "";
-    const loc = idxLocation !== -1 ? String(r[idxLocation] || "").trim() : "";
+// JSON datasets may be an array of objects (keys become the header) or an
+// array of arrays (first row is the header), optionally under a "rows" key.
+function rowsFromJson(value) {
+  const list = Array.isArray(value) ? value : Array.isArray(value?.rows) ? value.rows : null;
+  if (!list) throw new Error("JSON dataset must be an array (or { rows: [...] }).");
+  if (!list.length) return [];
 
-    const matchProj = project ? p === project : true;
-    const matchPer = period ? per === period : true;
-    const matchLoc = location ? loc === location : true;
+  if (Array.isArray(list[0])) {
+    return list.map((r) => (Array.isArray(r) ? r : []).map((c) => (c == null ? "" : String(c))));
+  }
 
-    return matchProj && matchPer && matchLoc;
+  const header = [];
+  list.forEach((obj) => {
+    Object.keys(obj || {}).forEach((k) => {
+      if (!header.includes(k)) header.push(k);
+    });
   });
-
-  return { header, data: filtered };
+  return [header, ...list.map((obj) => header.map((k) => (obj?.[k] == null ? "" : String(obj[k]))))];
 }
 
-function filterEvaluationRows(rows, filters) {
-  if (!rows || rows.length <= 1) return { header: [], data: [] };
+async function fetchDatasetSource(dataset, entry) {
+  if (REMOTE_DATASET_KINDS.includes(dataset.kind)) {
+    const result = await fetchCsvText(dataset.url, {
+      etag: entry?.etag,
+      lastModified: entry?.lastModified,
+    });
+    if (result.notModified) return result;
+    const rows = dataset.kind === "json_url" ? rowsFromJson(JSON.parse(result.text)) : parseCSV(result.text);
+    return { ...result, rows };
+  }
 
-  const header = rows[0];
-  const headersLower = header.map(safeLower);
+  let stat;
+  try {
+    stat = await fs.stat(dataset.path);
+  } catch (err) {
+    if (err.code === "ENOENT" && dataset.kind === "upload") {
+      throw new Error(`Dataset "${dataset.name}" has not been uploaded yet.`);
+    }
+    throw new Error(`Cannot read dataset "${dataset.name}" (${dataset.path}): ${err.message}`);
+  }
 
-  const idxProject = findIndex(headersLower, "project name");
-  const idxPeriod = findIndex(headersLower, "reporting period");
+  const lastModified = String(stat.mtimeMs);
+  if (entry && entry.lastModified === lastModified) return { notModified: true };
 
-  const project = (filters?.project || "").trim();
-  const period = (filters?.period || "").trim();
+  const text = await fs.readFile(dataset.path, "utf8");
+  const rows = dataset.kind === "json_file" ? rowsFromJson(JSON.parse(text)) : parseCSV(text);
+  return { notModified: false, rows, etag: "", lastModified };
+}
 
-  const data = rows
-    .slice(1)
-    .filter((r) => !r.every((c) => String(c || "").trim() === ""));
+function refreshDataset(dataset, entry) {
+  const running = datasetRefreshes.get(dataset.name);
+  if (running) return running;
+
+  const run = (async () => {
+    try {
+      const result = await fetchDatasetSource(dataset, entry);
+
+      const next =
+        result.notModified && entry
+          ? { ...entry, fetchedAt: Date.now(), lastError: "" }
+          : {
+              source: datasetSourceKey(dataset),
+              rows: result.rows,
+              fetchedAt: Date.now(),
+              etag: result.etag || "",
+              lastModified: result.lastModified || "",
+              lastError: "",
+            };
+      datasetCache.set(dataset.name, next);
+      if (!result.notModified) logColumnIssues(dataset, next.rows);
+      await writeDatasetToDisk(dataset, next);
+      return next;
+    } catch (err) {
+      if (!entry) throw err;
+
+      console.warn(`Dataset cache: refresh of "${dataset.name}" failed, serving last good copy:`, err.message);
+      const kept = { ...entry, lastError: err.message };
+      datasetCache.set(dataset.name, kept);
+      return kept;
+    }
+  })().finally(() => datasetRefreshes.delete(dataset.name));
 
-  const filtered = data.filter((r) => {
-    const p = idxProject !== -1 ? String(r[idxProject] || "").trim() : "";
-    const per = idxPeriod !== -1 ? String(r[idxPeriod] || "").trim() : "";
+  datasetRefreshes.set(dataset.name, run);
+  return run;
+}
 
-    const matchProj = project ? p === project : true;
-    const matchPer = period ? per === period : true;
+function describeDatasetEntry(entry, stale) {
+  return {
+    fetched_at: new Date(entry.fetchedAt).toISOString(),
+    age_seconds: Math.max(0, Math.round((Date.now() - entry.fetchedAt) / 1000)),
+    stale,
+    last_error: entry.lastError || null,
+  };
+}
 
-    return matchProj && matchPer;
-  });
+// Returns { rows, cache } where cache describes how old the rows are.
+async function loadDataset(dataset, { forceRefresh = false } = {}) {
+  if (!dataset) return { rows: [], cache: null };
 
-  return { header, data: filtered };
-}
+  let entry = datasetCache.get(dataset.name);
+  if (entry && entry.source !== datasetSourceKey(dataset)) entry = null;
+  if (!entry) {
+    entry = await readDatasetFromDisk(dataset);
+    if (entry) datasetCache.set(dataset.name, entry);
+  }
 
-function averageNumericColumn(header, data, colNameLower) {
-  const headersLower = header.map(safeLower);
-  const idx = headersLower.indexOf(colNameLower);
-  if (idx === -1) return 0;
+  if (!entry) {
+    const fresh = await refreshDataset(dataset, null);
+    return { rows: fresh.rows, cache: describeDatasetEntry(fresh, false) };
+  }
 
-  let sum = 0;
-  let count = 0;
+  if (forceRefresh || !REMOTE_DATASET_KINDS.includes(dataset.kind)) {
+    const fresh = await refreshDataset(dataset, entry);
+    return { rows: fresh.rows, cache: describeDatasetEntry(fresh, Boolean(fresh.lastError)) };
+  }
 
-  data.forEach((r) => {
-    const v = parseFloat(r[idx]);
-    if (!isNaN(v)) {
-      sum += v;
-      count++;
-    }
-  });
+  const expired = Date.now() - entry.fetchedAt >= DATASET_CACHE_TTL_MS;
+  if (expired) {
+    // stale-while-revalidate: answer now, refresh in the background
+    refreshDataset(dataset, entry).catch(() => {});
+  }
 
-  return count ? sum / count : 0;
+  return { rows: entry.rows, cache: describeDatasetEntry(entry, expired || Boolean(entry.lastError)) };
 }
 
-function percentFromRating(avgRating, max = 5) {
-  if (!avgRating || isNaN(avgRating)) return 0;
-  const pct = (avgRating / max) * 100;
-  return Math.max(0, Math.min(100, pct));
+function safeLower(s) {
+  return (s || "").trim().toLowerCase();
 }
 
-function summariseMonitoring(header, data) {
-  if (!header.length) return "No monitoring sheet loaded.";
-  if (!data.length) return "No matching monitoring records for current filters.";
-
-  const headersLower = header.map(safeLower);
+// =====================================================
+// STEP 2c: Column schema (canonical fields -> header aliases)
+// =====================================================
+// Each canonical field lists one or more header aliases, tried in order.
+// A string alias matches a header exactly (case/whitespace/trailing "."
+// insensitive); { "contains": [...] } matches a header containing every part.
+const DEFAULT_COLUMN_SCHEMA = {
+  monitoring: {
+    project: { aliases: ["project name"], required: true },
+    period: { aliases: ["reporting period"], required: true },
+    date: { aliases: ["reporting date"] },
+    location: { aliases: ["province / district / location"] },
+    beneficiaries: { aliases: ["number of beneficiaries reached this period."] },
+    activity: { aliases: ["activity implementation on schedule"], required: true },
+    budget: { aliases: ["budget utilization as planned"], required: true },
+    staff: { aliases: ["staff availability"], required: true },
+    community: { aliases: ["community participation"], required: true },
+    coordination: { aliases: ["coordination with partners"], required: true },
+    achievements: { aliases: ["main achievements this period."] },
+    challenges: { aliases: ["key challenges / risks"] },
+    actions: { aliases: ["immediate actions required / recommendations"] },
+  },
+  evaluation: {
+    project: { aliases: ["project name"], required: true },
+    period: { aliases: ["reporting period"], required: true },
+    location: { aliases: ["province / district / location", "location"] },
+    phase: { aliases: [{ contains: ["phase"] }] },
+    outcome: { aliases: [{ contains: ["outcome", "rating"] }], required: true },
+    impact: { aliases: [{ contains: ["impact", "rating"] }], required: true },
+    performance: {
+      aliases: [{ contains: ["overall", "rating"] }, { contains: ["performance", "rating"] }],
+    },
+  },
+  targets: {
+    project: { aliases: ["project name", "project"], required: true },
+    indicator: { aliases: ["indicator"], required: true },
+    target: { aliases: ["target", "target value"], required: true },
+    period: { aliases: ["reporting period", "period"] },
+    location: { aliases: ["province / district / location", "location"] },
+    unit: { aliases: ["unit"] },
+    start_date: { aliases: ["start date", "period start"] },
+    end_date: { aliases: ["end date", "period end"] },
+  },
+};
+
+// Rating columns summarised as KPIs, in display order
+const MONITORING_KPIS = [
+  { field: "activity", label: "Activity" },
+  { field: "budget", label: "Budget" },
+  { field: "staff", label: "Staff" },
+  { field: "community", label: "Community" },
+  { field: "coordination", label: "Coordination" },
+];
 
-  const avgAct = averageNumericColumn(header, data, "activity implementation on schedule");
-  const avgBud = averageNumericColumn(header, data, "budget utilization as planned");
-  const avgStaff = averageNumericColumn(header, data, "staff availability");
-  const avgComm = averageNumericColumn(header, data, "community participation");
-  const avgCoord = averageNumericColumn(header, data, "coordination with partners");
+const EVALUATION_KPIS = [
+  { field: "outcome", label: "Outcome" },
+  { field: "impact", label: "Impact" },
+  { field: "performance", label: "Performance" },
+];
 
-  const idxDate = headersLower.indexOf("reporting date");
-  const idxBenef = headersLower.indexOf("number of beneficiaries reached this period.");
-  const idxAch = headersLower.indexOf("main achievements this period.");
-  const idxChal = headersLower.indexOf("key challenges / risks");
-  const idxActn = headersLower.indexOf("immediate actions required / recommendations");
+const SCHEMA_CONFIG_PATH = path.resolve(process.env.SCHEMA_CONFIG || "config/schema.json");
 
-  let totalBenef = 0;
-  data.forEach((r) => {
-    if (idxBenef !== -1) {
-      const b = parseFloat(r[idxBenef] || "0");
-      if (!isNaN(b)) totalBenef += b;
-    }
-  });
+function normaliseHeader(h) {
+  return safeLower(h).replace(/\s+/g, " ").replace(/[.:]+$/, "").trim();
+}
 
-  const latest = data.slice(-5).reverse();
-  const latestLines = latest
-    .map((r, i) => {
-      const dt = idxDate !== -1 ? r[idxDate] || "" : "";
-      const ach = idxAch !== -1 ? r[idxAch] || "" : "";
-      const chal = idxChal !== -1 ? r[idxChal] || "" : "";
-      const actn = idxActn !== -1 ? r[idxActn] || "" : "";
-      return `${i + 1}) Date: ${dt}
-   - Achievement: ${ach}
-   - Challenge: ${chal}
-   - Action: ${actn}`;
-    })
-    .join("\n");
+// Accepts ["alias", ...] or { aliases: [...], required } for a field.
+function normaliseFieldSpec(field, spec) {
+  const raw = Array.isArray(spec) ? { aliases: spec } : spec;
+  const aliases = Array.isArray(raw?.aliases) ? raw.aliases : [];
 
-  return `Records: ${data.length}
-Total beneficiaries (filtered): ${totalBenef}
+  aliases.forEach((a) => {
+    const ok =
+      (typeof a === "string" && a.trim()) ||
+      (Array.isArray(a?.contains) && a.contains.length && a.contains.every((x) => typeof x === "string"));
+    if (!ok) throw new Error(`Field "${field}" has an invalid alias: ${JSON.stringify(a)}`);
+  });
+  if (!aliases.length) throw new Error(`Field "${field}" needs at least one alias.`);
 
-Average ratings (1–5):
-- Activity: ${avgAct.toFixed(2)}
-- Budget: ${avgBud.toFixed(2)}
-- Staff: ${avgStaff.toFixed(2)}
-- Community: ${avgComm.toFixed(2)}
-- Coordination: ${avgCoord.toFixed(2)}
+  return { aliases, required: Boolean(raw?.required) };
+}
 
-Most recent entries (up to 5):
-${latestLines}`;
+function mergeSchema(base, overrides) {
+  const merged = {};
+  Object.entries({ ...base, ...(overrides || {}) }).forEach(([field, spec]) => {
+    merged[field] = normaliseFieldSpec(field, spec);
+  });
+  return merged;
 }
 
-function summariseEvaluation(header, data) {
-  if (!header.length) return "No evaluation sheet loaded.";
-  if (!data.length) return "No matching evaluation records for current filters.";
+// Schema file: { "monitoring": { field: spec }, "evaluation": {...}, "targets": {...} }.
+// Fields given in the file replace the built-in definition of that field.
+async function loadColumnSchema() {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(await fs.readFile(SCHEMA_CONFIG_PATH, "utf8")) || {};
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      throw new Error(`Invalid column schema ${SCHEMA_CONFIG_PATH}: ${err.message}`);
+    }
+  }
 
-  const headersLower = header.map(safeLower);
+  try {
+    return {
+      monitoring: mergeSchema(DEFAULT_COLUMN_SCHEMA.monitoring, overrides.monitoring),
+      evaluation: mergeSchema(DEFAULT_COLUMN_SCHEMA.evaluation, overrides.evaluation),
+      targets: mergeSchema(DEFAULT_COLUMN_SCHEMA.targets, overrides.targets),
+    };
+  } catch (err) {
+    throw new Error(`Invalid column schema ${SCHEMA_CONFIG_PATH}: ${err.message}`);
+  }
+}
 
-  const idxOutcome = headersLower.findIndex((h) => h.includes("outcome") && h.includes("rating"));
-  const idxImpact = headersLower.findIndex((h) => h.includes("impact") && h.includes("rating"));
+const columnSchema = await loadColumnSchema();
 
-  let idxPerf = headersLower.findIndex(
-    (h) => (h.includes("overall") || h.includes("performance")) && h.includes("rating")
-  );
-  if (idxPerf === -1) idxPerf = headersLower.findIndex((h) => h.includes("rating"));
-
-  const avgOutcome = idxOutcome !== -1 ? averageNumericColumn(header, data, headersLower[idxOutcome]) : 0;
-  const avgImpact = idxImpact !== -1 ? averageNumericColumn(header, data, headersLower[idxImpact]) : 0;
-  const avgPerf = idxPerf !== -1 ? averageNumericColumn(header, data, headersLower[idxPerf]) : 0;
-
-  const phaseIdx = headersLower.findIndex((h) => h.includes("phase"));
-
-  const latest = data.slice(-5).reverse();
-  const latestLines = latest
-    .map((r, i) => {
-      const phase = phaseIdx !== -1 ? r[phaseIdx] || "" : "";
-      const out = idxOutcome !== -1 ? r[idxOutcome] || "" : "N/A";
-      const imp = idxImpact !== -1 ? r[idxImpact] || "" : "N/A";
-      const perf = idxPerf !== -1 ? r[idxPerf] || "" : "N/A";
-      return `${i + 1}) Phase: ${phase} | Outcome: ${out} | Impact: ${imp} | Performance: ${perf}`;
-    })
-    .join("\n");
+const EMPTY_SCHEMA = Object.freeze({});
+const datasetSchemas = new Map(); // dataset name -> merged column schema
 
-  return `Records: ${data.length}
+// Schema for a registry dataset: its type's schema plus any per-dataset
+// "columns" overrides from datasets.json (merged once, so resolveColumns
+// can cache by schema object).
+function getDatasetSchema(dataset) {
+  if (!dataset) return EMPTY_SCHEMA;
+  if (datasetSchemas.has(dataset.name)) return datasetSchemas.get(dataset.name);
 
-Average ratings (1–5):
-- Outcome: ${avgOutcome.toFixed(2)}
-- Impact: ${avgImpact.toFixed(2)}
-- Performance: ${avgPerf.toFixed(2)}
+  const base = columnSchema[dataset.type] || EMPTY_SCHEMA;
+  let schema;
+  try {
+    schema = dataset.columns ? mergeSchema(base, dataset.columns) : base;
+  } catch (err) {
+    console.warn(`Dataset "${dataset.name}" has invalid column overrides:`, err.message);
+    schema = base;
+  }
+  datasetSchemas.set(dataset.name, schema);
+  return schema;
+}
 
-Most recent entries (up to 5):
-${latestLines}`;
+function aliasMatches(alias, normalisedHeader) {
+  if (typeof alias === "string") return normalisedHeader === normaliseHeader(alias);
+  return alias.contains.every((part) => normalisedHeader.includes(safeLower(part)));
 }
 
-// =====================================================
-// Visuals builder (backend computed, reliable)
-// =====================================================
-function computeVisualsFromMonitoring(header, data) {
-  if (!header?.length || !data?.length) {
-    return { kpi_scores: [], distribution: { good: 0, watch: 0, poor: 0 } };
-  }
+function describeAlias(alias) {
+  return typeof alias === "string" ? alias : `contains: ${alias.contains.join(" + ")}`;
+}
 
-  const headersLower = header.map(safeLower);
+const columnResolutionCache = new WeakMap(); // header array -> Map(schema -> result)
+
+// Map each canonical field to a column index (-1 when not found) and report
+// required fields that are missing and aliases that match several columns.
+function resolveColumns(header, schema) {
+  const h = Array.isArray(header) ? header : [];
+  let perHeader = columnResolutionCache.get(h);
+  if (perHeader?.has(schema)) return perHeader.get(schema);
+
+  const normalised = h.map(normaliseHeader);
+  const index = {};
+  const fields = [];
+  const missing = [];
+  const ambiguous = [];
+
+  Object.entries(schema || {}).forEach(([field, spec]) => {
+    let matchedAlias = null;
+    let candidates = [];
+
+    for (const alias of spec.aliases) {
+      candidates = normalised.map((nh, i) => (aliasMatches(alias, nh) ? i : -1)).filter((i) => i !== -1);
+      if (candidates.length) {
+        matchedAlias = alias;
+        break;
+      }
+    }
 
-  const idxAct = headersLower.indexOf("activity implementation on schedule");
-  const idxBud = headersLower.indexOf("budget utilization as planned");
-  const idxStaff = headersLower.indexOf("staff availability");
-  const idxComm = headersLower.indexOf("community participation");
-  const idxCoord = headersLower.indexOf("coordination with partners");
+    const idx = candidates.length ? candidates[0] : -1;
+    index[field] = idx;
 
-  const avgAct = averageNumericColumn(header, data, "activity implementation on schedule");
-  const avgBud = averageNumericColumn(header, data, "budget utilization as planned");
-  const avgStaff = averageNumericColumn(header, data, "staff availability");
-  const avgComm = averageNumericColumn(header, data, "community participation");
-  const avgCoord = averageNumericColumn(header, data, "coordination with partners");
+    let status = "ok";
+    if (idx === -1) {
+      status = "missing";
+      if (spec.required || h.length) missing.push({ field, required: spec.required });
+    } else if (candidates.length > 1) {
+      status = "ambiguous";
+      ambiguous.push({ field, columns: candidates.map((i) => h[i]), used: h[idx] });
+    }
 
-  const pctAct = Math.round(percentFromRating(avgAct));
-  const pctBud = Math.round(percentFromRating(avgBud));
-  const pctStaff = Math.round(percentFromRating(avgStaff));
-  const pctComm = Math.round(percentFromRating(avgComm));
-  const pctCoord = Math.round(percentFromRating(avgCoord));
+    fields.push({
+      field,
+      required: spec.required,
+      status,
+      column: idx !== -1 ? h[idx] : null,
+      index: idx,
+      matched_alias: matchedAlias ? describeAlias(matchedAlias) : null,
+      aliases: spec.aliases.map(describeAlias),
+    });
+  });
 
-  const available = [pctAct, pctBud, pctStaff, pctComm, pctCoord].filter((p) => p > 0);
-  const pctOverall = available.length
-    ? Math.round(available.reduce((a, x) => a + x, 0) / available.length)
-    : 0;
+  const used = new Set(Object.values(index).filter((i) => i !== -1));
+  const result = {
+    index,
+    fields,
+    missing,
+    ambiguous,
+    unmapped_columns: h.filter((col, i) => !used.has(i) && String(col).trim()),
+    valid: !missing.some((m) => m.required) && !ambiguous.length,
+  };
 
-  let good = 0, watch = 0, poor = 0;
+  if (!perHeader) {
+    perHeader = new Map();
+    columnResolutionCache.set(h, perHeader);
+  }
+  perHeader.set(schema, result);
+  return result;
+}
 
-  data.forEach((r) => {
-    const vals = [];
-    [idxAct, idxBud, idxStaff, idxComm, idxCoord].forEach((idx) => {
-      if (idx !== -1) {
-        const v = parseFloat(r[idx] || "");
-        if (!isNaN(v)) vals.push(v);
-      }
-    });
-    if (!vals.length) return;
-    const rowAvg = vals.reduce((a, x) => a + x, 0) / vals.length;
+function validateDatasetColumns(dataset, rows) {
+  const schema = getDatasetSchema(dataset);
+  const report = resolveColumns(rows?.[0] || [], schema);
+  return {
+    dataset: dataset.name,
+    type: dataset.type,
+    records: Math.max(0, (rows?.length || 0) - 1),
+    valid: report.valid,
+    missing: report.missing,
+    ambiguous: report.ambiguous,
+    fields: report.fields,
+    unmapped_columns: report.unmapped_columns,
+  };
+}
 
-    if (rowAvg >= 4) good++;
-    else if (rowAvg <= 2) poor++;
-    else watch++;
+function logColumnIssues(dataset, rows) {
+  if (!columnSchema[dataset.type]) return;
+  const report = validateDatasetColumns(dataset, rows);
+  const missingRequired = report.missing.filter((m) => m.required).map((m) => m.field);
+  if (missingRequired.length) {
+    console.warn(`Dataset "${dataset.name}": required columns not found: ${missingRequired.join(", ")}`);
+  }
+  report.ambiguous.forEach((a) => {
+    console.warn(`Dataset "${dataset.name}": "${a.field}" matches several columns (${a.columns.join(" | ")})`);
   });
+}
 
+// Compact issue list for API responses (null when everything mapped).
+function summariseColumnIssues(header, schema) {
+  if (!header?.length) return null;
+  const report = resolveColumns(header, schema);
+  if (!report.missing.length && !report.ambiguous.length) return null;
   return {
-    kpi_scores: [
-      { label: "Activity", percent: pctAct },
-      { label: "Budget", percent: pctBud },
-      { label: "Staff", percent: pctStaff },
-      { label: "Community", percent: pctComm },
-      { label: "Coordination", percent: pctCoord },
-      { label: "Overall", percent: pctOverall },
-    ],
-    distribution: { good, watch, poor },
+    missing: report.missing.map((m) => m.field),
+    ambiguous: report.ambiguous.map((a) => a.field),
   };
 }
 
-function computeVisualsFromEvaluation(header, data) {
-  if (!header?.length || !data?.length) {
-    return { kpi_scores: [], distribution: { good: 0, watch: 0, poor: 0 } };
-  }
+// =====================================================
+// Dataset registry endpoints
+// =====================================================
+app.get("/api/datasets", (req, res) => {
+  const datasets = [...datasetRegistry.values()].map((d) => {
+    const entry = datasetCache.get(d.name);
+    return {
+      name: d.name,
+      label: d.label,
+      type: d.type,
+      kind: d.kind,
+      default: d.isDefault,
+      scoring: KPIS_BY_TYPE[d.type] ? getDatasetScoring(d) : null,
+      cached: entry ? { records: Math.max(0, entry.rows.length - 1), ...describeDatasetEntry(entry, false) } : null,
+    };
+  });
+  return res.json({ success: true, datasets });
+});
 
-  const headersLower = header.map(safeLower);
-  const idxOutcome = headersLower.findIndex((h) => h.includes("outcome") && h.includes("rating"));
-  const idxImpact = headersLower.findIndex((h) => h.includes("impact") && h.includes("rating"));
+// Replace the contents of an "upload" dataset. Accepts a raw CSV body
+// (text/csv) or JSON { "csv": "..." }.
+app.post(
+  "/api/datasets/:name/upload",
+  requireRole("admin"),
+  express.text({ type: ["text/csv", "text/plain"], limit: "10mb" }),
+  async (req, res) => {
+    try {
+      const dataset = datasetRegistry.get(req.params.name);
+      if (!dataset) {
+        return res.status(404).json({ success: false, error: `Unknown dataset "${req.params.name}".` });
+      }
+      if (dataset.kind !== "upload") {
+        return res.status(400).json({ success: false, error: `Dataset "${dataset.name}" does not accept uploads.` });
+      }
 
-  let idxPerf = headersLower.findIndex(
-    (h) => (h.includes("overall") || h.includes("performance")) && h.includes("rating")
-  );
-  if (idxPerf === -1) idxPerf = headersLower.findIndex((h) => h.includes("rating"));
+      const csvText = typeof req.body === "string" ? req.body : req.body?.csv;
+      if (!csvText || !String(csvText).trim()) {
+        return res.status(400).json({ success: false, error: "Missing CSV content to upload." });
+      }
 
-  const avgOutcome = idxOutcome !== -1 ? averageNumericColumn(header, data, headersLower[idxOutcome]) : 0;
-  const avgImpact = idxImpact !== -1 ? averageNumericColumn(header, data, headersLower[idxImpact]) : 0;
-  const avgPerf = idxPerf !== -1 ? averageNumericColumn(header, data, headersLower[idxPerf]) : 0;
+      const rows = parseCSV(String(csvText));
+      if (!rows.length || rows[0].every((c) => !String(c).trim())) {
+        return res.status(400).json({ success: false, error: "Uploaded CSV has no header row." });
+      }
 
-  const pctOutcome = Math.round(percentFromRating(avgOutcome));
-  const pctImpact = Math.round(percentFromRating(avgImpact));
-  const pctPerf = Math.round(percentFromRating(avgPerf));
+      await fs.mkdir(path.dirname(dataset.path), { recursive: true });
+      await fs.writeFile(dataset.path, String(csvText));
+      datasetCache.delete(dataset.name);
 
-  let good = 0, watch = 0, poor = 0;
+      return res.json({ success: true, dataset: dataset.name, records: rows.length - 1 });
+    } catch (err) {
+      console.error("Upload error /api/datasets/:name/upload:", err);
+      return res.status(500).json({ success: false, error: "Failed to store uploaded dataset." });
+    }
+  }
+);
 
-  data.forEach((r) => {
-    let perfVal = NaN;
-    if (idxPerf !== -1) perfVal = parseFloat(r[idxPerf] || "");
+// =====================================================
+// Column schema endpoints
+// =====================================================
+app.get("/api/schema", (req, res) => {
+  const describe = (schema) =>
+    Object.fromEntries(
+      Object.entries(schema).map(([field, spec]) => [
+        field,
+        { required: spec.required, aliases: spec.aliases.map(describeAlias) },
+      ])
+    );
+  return res.json({
+    success: true,
+    monitoring: describe(columnSchema.monitoring),
+    evaluation: describe(columnSchema.evaluation),
+    targets: describe(columnSchema.targets),
+  });
+});
 
-    if (isNaN(perfVal)) {
-      const vals = [];
-      if (idxOutcome !== -1) {
-        const v = parseFloat(r[idxOutcome] || "");
-        if (!isNaN(v)) vals.push(v);
-      }
-      if (idxImpact !== -1) {
-        const v = parseFloat(r[idxImpact] || "");
-        if (!isNaN(v)) vals.push(v);
-      }
-      if (vals.length) perfVal = vals.reduce((a, x) => a + x, 0) / vals.length;
+// Check every (or one ?dataset=name) monitoring/evaluation/targets dataset against
+// the column schema and report missing or ambiguous columns.
+app.get("/api/schema/validation", async (req, res) => {
+  try {
+    const wanted = String(req.query.dataset || "").trim();
+    if (wanted && !datasetRegistry.has(wanted)) {
+      return res.status(404).json({ success: false, error: `Unknown dataset "${wanted}".` });
     }
 
-    if (isNaN(perfVal)) return;
+    const targets = [...datasetRegistry.values()].filter(
+      (d) => columnSchema[d.type] && (!wanted || d.name === wanted)
+    );
 
-    if (perfVal >= 4) good++;
-    else if (perfVal <= 2) poor++;
-    else watch++;
-  });
+    const reports = await Promise.all(
+      targets.map(async (d) => {
+        try {
+          const { rows } = await loadDataset(d);
+          return validateDatasetColumns(d, rows);
+        } catch (err) {
+          return { dataset: d.name, type: d.type, valid: false, error: err.message };
+        }
+      })
+    );
 
-  return {
-    kpi_scores: [
-      { label: "Outcome", percent: pctOutcome },
-      { label: "Impact", percent: pctImpact },
-      { label: "Performance", percent: pctPerf },
-    ],
-    distribution: { good, watch, poor },
-  };
+    return res.json({ success: true, valid: reports.every((r) => r.valid), datasets: reports });
+  } catch (err) {
+    console.error("Backend error in /api/schema/validation:", err);
+    return res.status(500).json({ success: false, error: "Failed to validate dataset columns." });
+  }
+});
+
+// =====================================================
+// Scoring: rating scale, traffic-light bands, KPI weights
+// =====================================================
+// Defaults match the original dashboard: ratings 1–5, "good" at 80% of the
+// scale maximum (4/5) and above, "poor" at 40% (2/5) and below, every KPI
+// weighted 1. A dataset can override any part in datasets.json:
+//   "scoring": { "scale": { "min": 1, "max": 4 }, "bands": { "good": 75, "poor": 50 },
+//                "weights": { "budget": 2 } }
+// Ratings outside the scale are data-entry errors (reported by the
+// data-quality checks) and are left out of every average.
+const DEFAULT_SCORING = { scale: { min: 1, max: 5 }, bands: { good: 80, poor: 40 }, weights: {} };
+
+const KPIS_BY_TYPE = { monitoring: MONITORING_KPIS, evaluation: EVALUATION_KPIS };
+
+function scoringNumber(value, fallback, name) {
+  if (value === undefined || value === null || value === "") return fallback;
+  const n = Number(value);
+  if (!Number.isFinite(n)) throw new Error(`"${name}" must be a number.`);
+  return n;
 }
 
-function mergeVisuals(monVisuals, evalVisuals) {
-  const combinedDist = {
-    good: (monVisuals?.distribution?.good || 0) + (evalVisuals?.distribution?.good || 0),
-    watch: (monVisuals?.distribution?.watch || 0) + (evalVisuals?.distribution?.watch || 0),
-    poor: (monVisuals?.distribution?.poor || 0) + (evalVisuals?.distribution?.poor || 0),
+// Validated scoring for one dataset type, with a weight for every KPI.
+function normaliseScoring(overrides, type) {
+  const o = overrides || {};
+  const scale = {
+    min: scoringNumber(o.scale?.min, DEFAULT_SCORING.scale.min, "scale.min"),
+    max: scoringNumber(o.scale?.max, DEFAULT_SCORING.scale.max, "scale.max"),
   };
+  if (scale.max <= scale.min || scale.max <= 0) throw new Error("scale.max must be above scale.min and 0.");
 
-  const allPercents = []
-    .concat((monVisuals?.kpi_scores || []).map((x) => x.percent))
-    .concat((evalVisuals?.kpi_scores || []).map((x) => x.percent))
-    .filter((p) => typeof p === "number" && !isNaN(p) && p > 0);
+  const bands = {
+    good: scoringNumber(o.bands?.good, DEFAULT_SCORING.bands.good, "bands.good"),
+    poor: scoringNumber(o.bands?.poor, DEFAULT_SCORING.bands.poor, "bands.poor"),
+  };
+  if (!(bands.poor >= 0 && bands.poor < bands.good && bands.good <= 100)) {
+    throw new Error("bands must satisfy 0 <= poor < good <= 100 (percent of the scale maximum).");
+  }
 
-  const combinedScore = allPercents.length
-    ? Math.round(allPercents.reduce((a, x) => a + x, 0) / allPercents.length)
-    : 0;
+  const kpis = KPIS_BY_TYPE[type] || [];
+  const unknown = Object.keys(o.weights || {}).filter((f) => !kpis.some((k) => k.field === f));
+  if (unknown.length) throw new Error(`unknown KPI weight(s): ${unknown.join(", ")}`);
 
-  return {
-    combined_score_percent: combinedScore,
-    combined_distribution: combinedDist,
+  const weights = {};
+  kpis.forEach((k) => {
+    weights[k.field] = scoringNumber(o.weights?.[k.field], 1, `weights.${k.field}`);
+    if (weights[k.field] < 0) throw new Error(`weights.${k.field} must not be negative.`);
+  });
+
+  return { scale, bands, weights };
+}
+
+const datasetScoring = new Map(); // dataset name -> normalised scoring
+
+// Scoring for a registry dataset (validated once; invalid overrides fall
+// back to the defaults with a warning, like column overrides).
+function getDatasetScoring(dataset) {
+  if (!dataset) return normaliseScoring(null, "");
+  if (datasetScoring.has(dataset.name)) return datasetScoring.get(dataset.name);
+
+  let scoring;
+  try {
+    scoring = normaliseScoring(dataset.scoring, dataset.type);
+  } catch (err) {
+    console.warn(`Dataset "${dataset.name}" has invalid scoring:`, err.message);
+    scoring = normaliseScoring(null, dataset.type);
+  }
+  datasetScoring.set(dataset.name, scoring);
+  return scoring;
+}
+
+function ratingValue(r, idx, scale = DEFAULT_SCORING.scale) {
+  if (idx === -1 || idx === undefined) return NaN;
+  const v = parseFloat(r[idx]);
+  return v >= scale.min && v <= scale.max ? v : NaN;
+}
+
+function averageNumericColumn(data, idx, scale = DEFAULT_SCORING.scale) {
+  if (idx === -1 || idx === undefined) return 0;
+
+  let sum = 0;
+  let count = 0;
+
+  data.forEach((r) => {
+    const v = ratingValue(r, idx, scale);
+    if (!isNaN(v)) {
+      sum += v;
+      count++;
+    }
+  });
+
+  return count ? sum / count : 0;
+}
+
+function countRatings(data, idx, scale = DEFAULT_SCORING.scale) {
+  return data.reduce((n, r) => n + (isNaN(ratingValue(r, idx, scale)) ? 0 : 1), 0);
+}
+
+function percentFromRating(avgRating, max = DEFAULT_SCORING.scale.max) {
+  if (!avgRating || isNaN(avgRating)) return 0;
+  const pct = (avgRating / max) * 100;
+  return Math.max(0, Math.min(100, pct));
+}
+
+function ratingBand(percent, bands = DEFAULT_SCORING.bands) {
+  if (percent >= bands.good) return "good";
+  if (percent <= bands.poor) return "poor";
+  return "watch";
+}
+
+// Weighted mean of [{ value, weight }], ignoring missing values; null if none.
+function weightedMean(items) {
+  let sum = 0;
+  let weight = 0;
+  items.forEach(({ value, weight: w = 1 }) => {
+    if (value === null || value === undefined || isNaN(value) || !(w > 0)) return;
+    sum += value * w;
+    weight += w;
+  });
+  return weight ? sum / weight : null;
+}
+
+// Weighted overall percent of a kpi_scores list (KPIs without ratings and
+// the "Overall" entry itself are left out).
+function weightedOverall(kpiScores) {
+  const items = (kpiScores || [])
+    .filter((k) => k.label !== "Overall" && (k.records ?? (k.percent > 0 ? 1 : 0)) > 0)
+    .map((k) => ({ value: k.percent, weight: k.weight ?? 1 }));
+  const mean = weightedMean(items);
+  return mean === null ? 0 : Math.round(mean);
+}
+
+function describeScoringText(scoring) {
+  const weights = Object.entries(scoring.weights)
+    .filter(([, w]) => w !== 1)
+    .map(([field, w]) => `${field} ×${w}`);
+  return `scale ${scoring.scale.min}–${scoring.scale.max}; good ≥ ${scoring.bands.good}%, poor ≤ ${
+    scoring.bands.poor
+  }% of the maximum; weights ${weights.length ? weights.join(", ") : "all equal"}`;
+}
+
+// =====================================================
+// STEP 3: Filter + summarise functions (AI-friendly)
+// =====================================================
+function dataRowsOf(rows) {
+  return rows.slice(1).filter((r) => !r.every((c) => String(c || "").trim() === ""));
+}
+
+function cellAt(r, idx) {
+  return idx !== -1 && idx !== undefined ? String(r[idx] || "").trim() : "";
+}
+
+// Milliseconds for ISO (2025-03-31), day-first (31/03/2025) or textual
+// ("31 March 2025") dates; NaN when the value is not a date.
+function parseDateValue(value) {
+  const s = String(value || "").trim();
+  if (!s) return NaN;
+
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/);
+  if (m) return validDateParts(Number(m[1]), Number(m[2]), Number(m[3]));
+
+  m = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (m) return validDateParts(Number(m[3]), Number(m[2]), Number(m[1]));
+
+  return /[a-z]/i.test(s) && /\d{4}/.test(s) ? Date.parse(s) : NaN;
+}
+
+function validDateParts(year, month, day) {
+  const t = Date.UTC(year, month - 1, day);
+  const d = new Date(t);
+  return d.getUTCFullYear() === year && d.getUTCMonth() === month - 1 && d.getUTCDate() === day ? t : NaN;
+}
+
+// Filters (all optional, combined with AND):
+//   project / period / location  one value or a list (any may match), compared
+//                                case-insensitively; match: "partial" makes them
+//                                substring matches
+//   date_from / date_to          inclusive reporting-date range
+//   ratings                      numeric conditions on mapped columns, as
+//                                ["budget<=2", "activity>=4"] or { budget: "<=2" }
+// A filter on a column the dataset does not have is skipped for that dataset
+// and reported in `ignored`.
+const FILTER_DIMENSIONS = ["project", "period", "location"];
+const FILTER_LABELS = { project: "Project", period: "Reporting period", location: "Location" };
+
+const RATING_OPERATORS = {
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "=": (a, b) => a === b,
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+};
+
+function filterError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function filterValues(value) {
+  return []
+    .concat(value ?? [])
+    .filter((v) => typeof v === "string" || typeof v === "number")
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+}
+
+// "budget<=2" (or { field, op, value }) -> { field, op, value, text }
+function parseRatingCondition(condition, field = "") {
+  if (condition && typeof condition === "object") {
+    return parseRatingCondition(`${condition.op ?? "="}${condition.value}`, condition.field);
+  }
+  const m = String(condition ?? "").match(/^\s*([a-z_]*)\s*(<=|>=|!=|==|=|<|>)\s*(-?\d+(?:\.\d+)?)\s*$/i);
+  const name = safeLower(field || m?.[1] || "");
+  if (!m || !name) {
+    throw filterError(`Invalid rating condition "${field ? `${field} ` : ""}${condition}" (use e.g. "budget<=2").`);
+  }
+  return { field: name, op: m[2], value: Number(m[3]), text: `${name}${m[2]}${m[3]}` };
+}
+
+function filterDate(value, name) {
+  if (value === undefined || value === null || String(value).trim() === "") return null;
+  const t = parseDateValue(value);
+  if (isNaN(t)) throw filterError(`Invalid ${name} "${value}" (use YYYY-MM-DD).`);
+  return t;
+}
+
+// Validate and normalise a filters object once per request.
+function compileFilters(filters) {
+  const f = filters || {};
+  const match = safeLower(f.match || "exact");
+  if (!["exact", "partial"].includes(match)) {
+    throw filterError(`Unknown match "${f.match}" (use exact or partial).`);
+  }
+
+  const ratingsInput = f.ratings ?? [];
+  const ratings = Array.isArray(ratingsInput) || typeof ratingsInput !== "object"
+    ? [].concat(ratingsInput).filter((c) => String(c ?? "").trim()).map((c) => parseRatingCondition(c))
+    : Object.entries(ratingsInput).map(([field, c]) => parseRatingCondition(c, field));
+
+  const dateFrom = filterDate(f.date_from, "date_from");
+  const dateTo = filterDate(f.date_to, "date_to");
+
+  const dims = {};
+  FILTER_DIMENSIONS.forEach((d) => {
+    dims[d] = filterValues(f[d]).map(safeLower);
+  });
+
+  return { dims, partial: match === "partial", dateFrom, dateTo, ratings };
+}
+
+function hasColumn(columns, field) {
+  return columns[field] !== -1 && columns[field] !== undefined;
+}
+
+// Shared by monitoring and evaluation: returns { header, data, columns, ignored }.
+function filterRows(rows, filters, schema) {
+  const spec = compileFilters(filters);
+  if (!rows || rows.length <= 1) {
+    return { header: [], data: [], columns: resolveColumns([], schema).index, ignored: [] };
+  }
+
+  const header = rows[0];
+  const columns = resolveColumns(header, schema).index;
+  const ignored = [];
+
+  const dims = FILTER_DIMENSIONS.filter((d) => spec.dims[d].length);
+  dims.filter((d) => !hasColumn(columns, d)).forEach((d) => ignored.push(d));
+  const activeDims = dims.filter((d) => hasColumn(columns, d));
+
+  let useDates = spec.dateFrom !== null || spec.dateTo !== null;
+  if (useDates && !hasColumn(columns, "date")) {
+    ignored.push("date_from/date_to");
+    useDates = false;
+  }
+
+  spec.ratings.filter((c) => !hasColumn(columns, c.field)).forEach((c) => ignored.push(c.text));
+  const ratings = spec.ratings.filter((c) => hasColumn(columns, c.field));
+
+  const matches = (cell, wanted) => {
+    const v = safeLower(cell);
+    return wanted.some((w) => (spec.partial ? v.includes(w) : v === w));
+  };
+
+  const filtered = dataRowsOf(rows).filter((r) => {
+    if (!activeDims.every((d) => matches(cellAt(r, columns[d]), spec.dims[d]))) return false;
+
+    if (useDates) {
+      const t = parseDateValue(cellAt(r, columns.date));
+      if (isNaN(t)) return false;
+      if (spec.dateFrom !== null && t < spec.dateFrom) return false;
+      if (spec.dateTo !== null && t > spec.dateTo) return false;
+    }
+
+    return ratings.every((c) => {
+      const v = parseFloat(cellAt(r, columns[c.field]));
+      return !isNaN(v) && RATING_OPERATORS[c.op](v, c.value);
+    });
+  });
+
+  return { header, data: filtered, columns, ignored };
+}
+
+// Human-readable [label, value] pairs for prompts and export headers.
+function describeFilters(filters) {
+  const f = filters || {};
+  const pairs = FILTER_DIMENSIONS.map((d) => [FILTER_LABELS[d], filterValues(f[d]).join(", ") || "All"]);
+  if (safeLower(f.match) === "partial") pairs.push(["Matching", "partial (contains)"]);
+  if (f.date_from || f.date_to) {
+    pairs.push(["Reporting dates", `${f.date_from || "…"} to ${f.date_to || "…"}`]);
+  }
+  try {
+    const ratings = compileFilters({ ratings: f.ratings }).ratings;
+    if (ratings.length) pairs.push(["Rating conditions", ratings.map((c) => c.text).join(", ")]);
+  } catch {
+    // invalid conditions are rejected where the data is filtered
+  }
+  return pairs;
+}
+
+// "3.40", or a clear marker when the column could not be mapped so the model
+// does not read a missing column as a rating of zero.
+function formatAverage(data, idx, scale = DEFAULT_SCORING.scale) {
+  if (idx === -1 || idx === undefined) return "n/a (column not found)";
+  return averageNumericColumn(data, idx, scale).toFixed(2);
+}
+
+function summariseMonitoring(
+  header,
+  data,
+  columns = resolveColumns(header, columnSchema.monitoring).index,
+  scoring = DEFAULT_SCORING
+) {
+  if (!header.length) return "No monitoring sheet loaded.";
+  if (!data.length) return "No matching monitoring records for current filters.";
+
+  let totalBenef = 0;
+  data.forEach((r) => {
+    if (columns.beneficiaries !== -1) {
+      const b = parseFloat(r[columns.beneficiaries] || "0");
+      if (!isNaN(b)) totalBenef += b;
+    }
+  });
+
+  const benefLine = columns.beneficiaries !== -1 ? String(totalBenef) : "n/a (column not found)";
+
+  return `Records: ${data.length}
+Total beneficiaries (filtered): ${benefLine}
+
+Scoring: ${describeScoringText(scoring)}
+
+Average ratings (${scoring.scale.min}–${scoring.scale.max}):
+${MONITORING_KPIS.map((k) => `- ${k.label}: ${formatAverage(data, columns[k.field], scoring.scale)}`).join("\n")}
+
+Trend by reporting period (oldest → newest):
+${describeTrends(computeMonitoringTrends(data, columns, scoring))}`;
+}
+
+function summariseEvaluation(
+  header,
+  data,
+  columns = resolveColumns(header, columnSchema.evaluation).index,
+  scoring = DEFAULT_SCORING
+) {
+  if (!header.length) return "No evaluation sheet loaded.";
+  if (!data.length) return "No matching evaluation records for current filters.";
+
+  return `Records: ${data.length}
+
+Scoring: ${describeScoringText(scoring)}
+
+Average ratings (${scoring.scale.min}–${scoring.scale.max}):
+${EVALUATION_KPIS.map((k) => `- ${k.label}: ${formatAverage(data, columns[k.field], scoring.scale)}`).join("\n")}`;
+}
+
+// =====================================================
+// Trend analysis (per reporting period)
+// =====================================================
+// Rows are grouped by "reporting period" and the groups ordered by their
+// reporting dates, falling back to the period label ("Q1 2025", "Mar 2025",
+// "2025-H1"...) and finally to the order the periods first appear in.
+const TREND_STABLE_BAND = 2; // percentage points per period treated as "stable"
+const TREND_STABLE_RATIO = 0.05; // same idea for counts: ±5% of the mean per period
+
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// Months covered by a period label as { start, end } month indexes
+// (year * 12 + month, inclusive), or null. "2025" spans the whole year.
+function periodLabelRange(label) {
+  const s = safeLower(label);
+  const year = s.match(/(?<!\d)(?:19|20)\d{2}(?!\d)/);
+  if (!year) return null;
+
+  let month = 0;
+  let span = 12;
+  const numericMonth = s.match(/(?<!\d)\d{4}[-/.](\d{1,2})(?!\d)/) || s.match(/(?<!\d)(\d{1,2})[-/.]\d{4}(?!\d)/);
+  const quarter = s.match(/\bq([1-4])\b/);
+  const half = s.match(/\bh([12])\b/);
+  const monthName = MONTH_NAMES.findIndex((m) => new RegExp(`\\b${m}`).test(s));
+
+  if (quarter) [month, span] = [(Number(quarter[1]) - 1) * 3, 3];
+  else if (half) [month, span] = [(Number(half[1]) - 1) * 6, 6];
+  else if (monthName !== -1) [month, span] = [monthName, 1];
+  else if (numericMonth) [month, span] = [Number(numericMonth[1]) - 1, 1];
+
+  const start = Number(year[0]) * 12 + Math.min(11, Math.max(0, month));
+  return { start, end: start + span - 1 };
+}
+
+// Month index (year * 12 + month) for a period label, or null.
+function periodLabelKey(label) {
+  return periodLabelRange(label)?.start ?? null;
+}
+
+// Group rows by period and return [{ period, rows }] oldest first, plus how
+// the order was decided.
+function groupRowsByPeriod(data, columns) {
+  const groups = new Map();
+  data.forEach((r) => {
+    const period = cellAt(r, columns.period) || "(no period)";
+    if (!groups.has(period)) groups.set(period, { period, rows: [], order: groups.size, dateKey: null });
+    const group = groups.get(period);
+    group.rows.push(r);
+
+    const dt = parseDateValue(cellAt(r, columns.date));
+    if (!isNaN(dt)) group.dateKey = group.dateKey === null ? dt : Math.min(group.dateKey, dt);
+  });
+
+  const list = [...groups.values()];
+  let orderedBy = "row_order";
+  let keyOf = (g) => g.order;
+
+  if (list.every((g) => g.dateKey !== null)) {
+    orderedBy = "reporting_date";
+    keyOf = (g) => g.dateKey;
+  } else if (list.every((g) => periodLabelKey(g.period) !== null)) {
+    orderedBy = "period_label";
+    keyOf = (g) => periodLabelKey(g.period);
+  }
+
+  list.sort((a, b) => keyOf(a) - keyOf(b) || a.order - b.order);
+  return { orderedBy, groups: list };
+}
+
+function sumNumericColumn(data, idx) {
+  if (idx === -1 || idx === undefined) return null;
+  let sum = 0;
+  let count = 0;
+  data.forEach((r) => {
+    const v = parseFloat(r[idx]);
+    if (!isNaN(v)) {
+      sum += v;
+      count++;
+    }
+  });
+  return count ? sum : null;
+}
+
+// Least-squares slope of the non-null values (per period step).
+function seriesSlope(values) {
+  const points = values.map((y, x) => [x, y]).filter(([, y]) => y !== null);
+  if (points.length < 2) return null;
+  const meanX = points.reduce((a, [x]) => a + x, 0) / points.length;
+  const meanY = points.reduce((a, [, y]) => a + y, 0) / points.length;
+  let num = 0;
+  let den = 0;
+  points.forEach(([x, y]) => {
+    num += (x - meanX) * (y - meanY);
+    den += (x - meanX) ** 2;
+  });
+  return den ? num / den : 0;
+}
+
+function trendDirection(values, unit) {
+  const slope = seriesSlope(values);
+  if (slope === null) return "insufficient_data";
+
+  let band = TREND_STABLE_BAND;
+  if (unit === "count") {
+    const present = values.filter((v) => v !== null);
+    band = (present.reduce((a, v) => a + v, 0) / present.length) * TREND_STABLE_RATIO;
+  }
+  if (slope > band) return "improving";
+  if (slope < -band) return "declining";
+  return "stable";
+}
+
+function buildSeries(label, unit, values) {
+  const deltas = values.map((v, i) => {
+    const prev = values[i - 1];
+    return i === 0 || v === null || prev === null || prev === undefined ? null : Math.round((v - prev) * 100) / 100;
+  });
+  return {
+    label,
+    unit,
+    values,
+    deltas,
+    latest_delta: deltas.length ? deltas[deltas.length - 1] : null,
+    direction: trendDirection(values, unit),
+  };
+}
+
+// Per-period KPI percents, overall score and beneficiaries with deltas vs
+// the previous period and a trend direction for each series.
+function computeMonitoringTrends(data, columns, scoring = DEFAULT_SCORING) {
+  const { orderedBy, groups } = groupRowsByPeriod(data || [], columns);
+  const { scale, weights } = scoring;
+
+  const kpiSeries = MONITORING_KPIS.map((k) => {
+    const idx = columns[k.field];
+    const values = groups.map((g) => {
+      if (!countRatings(g.rows, idx, scale)) return null;
+      return Math.round(percentFromRating(averageNumericColumn(g.rows, idx, scale), scale.max));
+    });
+    return buildSeries(k.label, "percent", values);
+  });
+
+  const overall = groups.map((_, i) => {
+    const items = MONITORING_KPIS.map((k, j) => ({ value: kpiSeries[j].values[i], weight: weights[k.field] }));
+    const mean = weightedMean(items);
+    return mean === null ? null : Math.round(mean);
+  });
+
+  const beneficiaries = groups.map((g) => sumNumericColumn(g.rows, columns.beneficiaries));
+
+  return {
+    periods: groups.map((g) => g.period),
+    ordered_by: orderedBy,
+    records: groups.map((g) => g.rows.length),
+    series: [
+      ...kpiSeries,
+      buildSeries("Overall", "percent", overall),
+      buildSeries("Beneficiaries", "count", beneficiaries),
+    ],
+  };
+}
+
+function formatTrendValue(value, unit) {
+  if (value === null) return "n/a";
+  return unit === "percent" ? `${value}%` : String(value);
+}
+
+function formatTrendDelta(delta, unit) {
+  if (delta === null) return "n/a";
+  const sign = delta > 0 ? "+" : "";
+  return unit === "percent" ? `${sign}${delta} pts` : `${sign}${delta}`;
+}
+
+// Text block for the LIVE summary
+function describeTrends(trends) {
+  if (trends.periods.length < 2) {
+    return "Only one reporting period in the filtered data; no trend available.";
+  }
+  const lines = trends.series.map((s) => {
+    const path = s.values.map((v, i) => `${trends.periods[i]} ${formatTrendValue(v, s.unit)}`).join(" → ");
+    return `- ${s.label}: ${path} (latest change ${formatTrendDelta(s.latest_delta, s.unit)}; ${s.direction})`;
+  });
+  const order = trends.ordered_by.replace("_", " ");
+  return `Periods ordered by ${order}; values are KPI % of the scale maximum and beneficiaries reached.
+${lines.join("\n")}`;
+}
+
+// =====================================================
+// Visuals builder (backend computed, reliable)
+// =====================================================
+// Per-KPI score entry: percent of the scale maximum, its weight and how many
+// valid ratings it is based on.
+function kpiScore(k, data, idx, scoring) {
+  const records = countRatings(data, idx, scoring.scale);
+  const percent = Math.round(percentFromRating(averageNumericColumn(data, idx, scoring.scale), scoring.scale.max));
+  return { label: k.label, percent, weight: scoring.weights[k.field] ?? 1, records };
+}
+
+// kpi_scores as the response schema has them ({ label, percent } only)
+function schemaKpiScores(kpiScores) {
+  return (kpiScores || []).map(({ label, percent }) => ({ label, percent }));
+}
+
+function computeVisualsFromMonitoring(
+  header,
+  data,
+  columns = resolveColumns(header, columnSchema.monitoring).index,
+  scoring = DEFAULT_SCORING
+) {
+  if (!header?.length || !data?.length) {
+    return { kpi_scores: [], distribution: { good: 0, watch: 0, poor: 0 }, trends: computeMonitoringTrends([], {}) };
+  }
+
+  const kpiScores = MONITORING_KPIS.map((k) => kpiScore(k, data, columns[k.field], scoring));
+  const pctOverall = weightedOverall(kpiScores);
+
+  let good = 0, watch = 0, poor = 0;
+
+  data.forEach((r) => {
+    const rowAvg = weightedMean(
+      MONITORING_KPIS.map((k) => ({
+        value: ratingValue(r, columns[k.field], scoring.scale),
+        weight: scoring.weights[k.field],
+      }))
+    );
+    if (rowAvg === null) return;
+
+    const band = ratingBand(percentFromRating(rowAvg, scoring.scale.max), scoring.bands);
+    if (band === "good") good++;
+    else if (band === "poor") poor++;
+    else watch++;
+  });
+
+  return {
+    kpi_scores: [...kpiScores, { label: "Overall", percent: pctOverall }],
+    distribution: { good, watch, poor },
+    trends: computeMonitoringTrends(data, columns, scoring),
+  };
+}
+
+function computeVisualsFromEvaluation(
+  header,
+  data,
+  columns = resolveColumns(header, columnSchema.evaluation).index,
+  scoring = DEFAULT_SCORING
+) {
+  if (!header?.length || !data?.length) {
+    return { kpi_scores: [], distribution: { good: 0, watch: 0, poor: 0 } };
+  }
+
+  const kpiScores = EVALUATION_KPIS.map((k) => kpiScore(k, data, columns[k.field], scoring));
+
+  let good = 0, watch = 0, poor = 0;
+
+  data.forEach((r) => {
+    // the overall performance rating when present, else outcome/impact
+    let perfVal = ratingValue(r, columns.performance, scoring.scale);
+
+    if (isNaN(perfVal)) {
+      const mean = weightedMean(
+        ["outcome", "impact"].map((f) => ({
+          value: ratingValue(r, columns[f], scoring.scale),
+          weight: scoring.weights[f],
+        }))
+      );
+      if (mean !== null) perfVal = mean;
+    }
+
+    if (isNaN(perfVal)) return;
+
+    const band = ratingBand(percentFromRating(perfVal, scoring.scale.max), scoring.bands);
+    if (band === "good") good++;
+    else if (band === "poor") poor++;
+    else watch++;
+  });
+
+  return {
+    kpi_scores: kpiScores,
+    distribution: { good, watch, poor },
+  };
+}
+
+// Combined score: weighted mean of every monitoring and evaluation KPI that
+// has ratings (each weighted by its own dataset's configuration).
+function mergeVisuals(monVisuals, evalVisuals) {
+  const combinedDist = {
+    good: (monVisuals?.distribution?.good || 0) + (evalVisuals?.distribution?.good || 0),
+    watch: (monVisuals?.distribution?.watch || 0) + (evalVisuals?.distribution?.watch || 0),
+    poor: (monVisuals?.distribution?.poor || 0) + (evalVisuals?.distribution?.poor || 0),
+  };
+
+  const combinedScore = weightedOverall([...(monVisuals?.kpi_scores || []), ...(evalVisuals?.kpi_scores || [])]);
+
+  return {
+    combined_score_percent: combinedScore,
+    combined_distribution: combinedDist,
+  };
+}
+
+// =====================================================
+// Disaggregation (KPIs per location / project / period)
+// =====================================================
+const BREAKDOWN_DIMENSIONS = ["location", "project", "period"];
+const BREAKDOWN_RANK_SIZE = 3;
+
+// Group filtered rows by one mapped dimension and compute the same visuals
+// per group, plus the best and worst groups by overall percent.
+function computeBreakdown(kind, filtered, dimension) {
+  const columns = filtered?.columns || {};
+  const idx = columns[dimension];
+  if (idx === -1 || idx === undefined) {
+    return { kind, dimension, available: false, groups: [], ranking: null };
+  }
+
+  // periods keep their chronological order, other groups are alphabetical
+  let entries;
+  if (dimension === "period") {
+    entries = groupRowsByPeriod(filtered.data, columns).groups.map((g) => [g.period, g.rows]);
+  } else {
+    const grouped = new Map();
+    filtered.data.forEach((r) => {
+      const key = cellAt(r, idx) || "(blank)";
+      if (!grouped.has(key)) grouped.set(key, []);
+      grouped.get(key).push(r);
+    });
+    entries = [...grouped.entries()].sort(([a], [b]) => a.localeCompare(b));
+  }
+
+  const visualsOf = kind === "monitoring" ? computeVisualsFromMonitoring : computeVisualsFromEvaluation;
+  const groups = entries.map(([key, rows]) => {
+    const { kpi_scores, distribution } = visualsOf(filtered.header, rows, columns, filtered.scoring);
+    return { key, records: rows.length, overall_percent: weightedOverall(kpi_scores), kpi_scores, distribution };
+  });
+
+  const ranked = groups
+    .filter((g) => g.overall_percent > 0)
+    .map(({ key, records, overall_percent }) => ({ key, records, overall_percent }))
+    .sort((a, b) => b.overall_percent - a.overall_percent || b.records - a.records);
+
+  // best and worst never overlap: with few groups each side gets half
+  const size = Math.min(BREAKDOWN_RANK_SIZE, Math.floor(ranked.length / 2));
+  const ranking = size
+    ? {
+        best: ranked.slice(0, size),
+        worst: ranked.slice(-size).reverse(),
+        spread_points: ranked[0].overall_percent - ranked[ranked.length - 1].overall_percent,
+      }
+    : null;
+
+  return { kind, dimension, available: true, groups, ranking };
+}
+
+// Breakdowns worth showing: every mapped dimension with at least two groups.
+function computeBreakdowns(monFiltered, evalFiltered, dimensions = BREAKDOWN_DIMENSIONS) {
+  const out = [];
+  for (const [kind, filtered] of [["monitoring", monFiltered], ["evaluation", evalFiltered]]) {
+    for (const dimension of dimensions) {
+      const breakdown = computeBreakdown(kind, filtered, dimension);
+      if (breakdown.available && breakdown.groups.length >= 2) out.push(breakdown);
+    }
+  }
+  return out;
+}
+
+// Text block for the LIVE summary
+function describeBreakdowns(breakdowns) {
+  if (!breakdowns.length) return "All filtered records fall in a single location, project and period.";
+
+  const fmt = (list) => list.map((g) => `${g.key} ${g.overall_percent}% (${g.records} rec.)`).join(", ");
+  return breakdowns
+    .map((b) => {
+      const groups = b.groups.map((g) => `${g.key} ${g.overall_percent}%`).join("; ");
+      const rank = b.ranking
+        ? `\n  best: ${fmt(b.ranking.best)}\n  worst: ${fmt(b.ranking.worst)}\n  spread: ${b.ranking.spread_points} pts`
+        : "";
+      return `- ${b.kind} by ${b.dimension}: ${groups}${rank}`;
+    })
+    .join("\n");
+}
+
+// =====================================================
+// Data quality checks
+// =====================================================
+// Flags rows the summaries should be read with caution: ratings outside the
+// dataset's scale or not numeric, missing required values, duplicate submissions,
+// malformed or future reporting dates and beneficiary outliers. Row numbers
+// are sheet rows (the header is row 1).
+const DATA_QUALITY_CHECKS = {
+  out_of_range_rating: "error",
+  non_numeric_rating: "warning",
+  missing_required: "error",
+  duplicate_submission: "warning",
+  malformed_date: "error",
+  future_date: "warning",
+  invalid_beneficiaries: "error",
+  beneficiary_outlier: "warning",
+};
+const DUPLICATE_KEY_FIELDS = ["project", "period", "location", "date"];
+const OUTLIER_IQR_FACTOR = 3; // Tukey "far out" fences
+const DATA_QUALITY_MAX_ISSUES = 200; // per dataset in API responses
+
+function qualityIssue(check, row, field, column, value, message) {
+  return { check, severity: DATA_QUALITY_CHECKS[check], row, field, column, value, message };
+}
+
+function quartiles(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const at = (q) => {
+    const pos = (sorted.length - 1) * q;
+    const lo = Math.floor(pos);
+    return sorted[lo] + (sorted[Math.min(lo + 1, sorted.length - 1)] - sorted[lo]) * (pos - lo);
+  };
+  return { q1: at(0.25), q3: at(0.75) };
+}
+
+// part = one side of a data context: { schema, rows, filtered }
+function checkDataQuality(kind, part, { now = Date.now() } = {}) {
+  const { header, data, columns } = part.filtered;
+  const { scale } = part.filtered.scoring || DEFAULT_SCORING;
+  const issues = [];
+  if (!header?.length) return summariseQuality(kind, 0, issues);
+
+  const rowNumbers = new Map((part.rows || []).map((r, i) => [r, i + 1]));
+  const columnOf = (field) => (hasColumn(columns, field) ? header[columns[field]] : null);
+  const kpis = kind === "monitoring" ? MONITORING_KPIS : EVALUATION_KPIS;
+  const required = Object.entries(part.schema || {})
+    .filter(([field, spec]) => spec.required && hasColumn(columns, field))
+    .map(([field]) => field);
+  const keyFields = DUPLICATE_KEY_FIELDS.filter((f) => hasColumn(columns, f));
+  const seen = new Map();
+  const beneficiaries = [];
+
+  data.forEach((r) => {
+    const row = rowNumbers.get(r) ?? null;
+
+    kpis.forEach((k) => {
+      const raw = cellAt(r, columns[k.field]);
+      if (!raw) return;
+      const v = Number(raw);
+      const column = columnOf(k.field);
+      if (isNaN(v)) {
+        const message = `${k.label} rating "${raw}" is not a number; ignored in averages.`;
+        issues.push(qualityIssue("non_numeric_rating", row, k.field, column, raw, message));
+      } else if (v < scale.min || v > scale.max) {
+        const message = `${k.label} rating ${raw} is outside ${scale.min}–${scale.max}; excluded from averages.`;
+        issues.push(qualityIssue("out_of_range_rating", row, k.field, column, raw, message));
+      }
+    });
+
+    required.forEach((field) => {
+      if (!cellAt(r, columns[field])) {
+        const message = `Required value "${field}" is empty.`;
+        issues.push(qualityIssue("missing_required", row, field, columnOf(field), "", message));
+      }
+    });
+
+    if (keyFields.length >= 2) {
+      const key = keyFields.map((f) => safeLower(cellAt(r, columns[f]))).join("|");
+      if (seen.has(key)) {
+        const message = `Same ${keyFields.join("/")} as row ${seen.get(key)}; possible duplicate submission.`;
+        issues.push(qualityIssue("duplicate_submission", row, null, null, key, message));
+      } else {
+        seen.set(key, row);
+      }
+    }
+
+    const rawDate = cellAt(r, columns.date);
+    if (rawDate) {
+      const t = parseDateValue(rawDate);
+      if (isNaN(t)) {
+        const message = `Reporting date "${rawDate}" is not a valid date.`;
+        issues.push(qualityIssue("malformed_date", row, "date", columnOf("date"), rawDate, message));
+      } else if (t > now + 86400000) {
+        const message = `Reporting date ${rawDate} is in the future.`;
+        issues.push(qualityIssue("future_date", row, "date", columnOf("date"), rawDate, message));
+      }
+    }
+
+    const rawBenef = cellAt(r, columns.beneficiaries);
+    const column = columnOf("beneficiaries");
+    if (rawBenef) {
+      const b = Number(rawBenef.replace(/,/g, ""));
+      if (isNaN(b) || b < 0) {
+        const message = `Beneficiaries "${rawBenef}" is not a non-negative number.`;
+        issues.push(qualityIssue("invalid_beneficiaries", row, "beneficiaries", column, rawBenef, message));
+      } else {
+        beneficiaries.push({ row, value: b, raw: rawBenef });
+      }
+    }
+  });
+
+  if (beneficiaries.length >= 5) {
+    const column = columnOf("beneficiaries");
+    const { q1, q3 } = quartiles(beneficiaries.map((b) => b.value));
+    const spread = (q3 - q1) * OUTLIER_IQR_FACTOR;
+    const low = q1 - spread;
+    const high = q3 + spread;
+    const usual = `${Math.max(0, Math.round(low))}–${Math.round(high)}`;
+    beneficiaries
+      .filter((b) => spread > 0 && (b.value < low || b.value > high))
+      .forEach((b) => {
+        const message = `Beneficiaries ${b.raw} is far outside the usual range (${usual}).`;
+        issues.push(qualityIssue("beneficiary_outlier", b.row, "beneficiaries", column, b.raw, message));
+      });
+  }
+
+  issues.sort((a, b) => (a.row ?? 0) - (b.row ?? 0));
+  return summariseQuality(kind, data.length, issues);
+}
+
+function summariseQuality(kind, recordsChecked, issues) {
+  const byCheck = {};
+  issues.forEach((i) => {
+    byCheck[i.check] = (byCheck[i.check] || 0) + 1;
+  });
+  return {
+    kind,
+    records_checked: recordsChecked,
+    issue_count: issues.length,
+    rows_affected: new Set(issues.map((i) => i.row)).size,
+    by_check: byCheck,
+    issues,
+  };
+}
+
+// Counts only, for chat replies
+function qualityOverview(report) {
+  const { records_checked, issue_count, rows_affected, by_check } = report;
+  return { records_checked, issue_count, rows_affected, by_check };
+}
+
+// Text block for the LIVE summary
+function describeDataQuality(reports) {
+  const lines = reports.map((q) => {
+    if (!q.issue_count) return `- ${q.kind}: no issues in ${q.records_checked} record(s).`;
+    const counts = Object.entries(q.by_check)
+      .map(([check, n]) => `${check.replace(/_/g, " ")}: ${n}`)
+      .join(", ");
+    const examples = q.issues
+      .slice(0, 5)
+      .map((i) => `  - row ${i.row}: ${i.message}`)
+      .join("\n");
+    const head = `- ${q.kind}: ${q.issue_count} issue(s) in ${q.rows_affected} of ${q.records_checked} record(s)`;
+    return `${head} (${counts})\n${examples}`;
+  });
+  return lines.join("\n");
+}
+
+// =====================================================
+// Targets vs actuals
+// =====================================================
+// A "targets" dataset holds one row per project / indicator with an optional
+// period ("2025", "Q1 2025", or start/end dates) and location. Actuals come
+// from every monitoring row in that scope, so request filters choose which
+// targets are shown but do not shrink the actuals behind them. A blank period
+// or location means "all periods" / "all locations".
+const TARGET_ON_TRACK_RATIO = 0.9; // on track while achievement ≥ 90% of the time elapsed
+const TARGET_STATUSES = ["achieved", "on_track", "off_track", "in_progress", "no_data"];
+const TARGETS_PROMPT_MAX = 40;
+
+// measure: "sum" of a numeric column, "count" of reports, or "percent" (KPI score)
+const TARGET_INDICATORS = [
+  {
+    key: "beneficiaries",
+    label: "Beneficiaries reached",
+    measure: "sum",
+    field: "beneficiaries",
+    names: ["beneficiaries", "beneficiaries reached", "number of beneficiaries reached"],
+  },
+  { key: "reports", label: "Reports submitted", measure: "count", names: ["reports", "reports submitted", "records"] },
+  { key: "overall", label: "Overall score", measure: "percent", names: ["overall", "overall score"] },
+  ...MONITORING_KPIS.map((k) => ({
+    key: k.field,
+    label: `${k.label} score`,
+    measure: "percent",
+    field: k.field,
+    names: [k.field, safeLower(k.label), `${safeLower(k.label)} score`],
+  })),
+];
+
+const TARGET_UNITS = { sum: "count", count: "reports", percent: "percent" };
+
+// Match an indicator name against the known indicators and the monitoring
+// column aliases ("Number of beneficiaries reached this period.").
+function resolveIndicator(name, monSchema) {
+  const n = normaliseHeader(name);
+  if (!n) return null;
+  const isAlias = (field) =>
+    (monSchema?.[field]?.aliases || []).some((a) => typeof a === "string" && normaliseHeader(a) === n);
+  return (
+    TARGET_INDICATORS.find(
+      (ind) =>
+        ind.key === n || ind.names.includes(n) || normaliseHeader(ind.label) === n || (ind.field && isAlias(ind.field))
+    ) || null
+  );
+}
+
+function parseTargetNumber(value) {
+  const s = String(value ?? "").replace(/[,\s%]/g, "");
+  return s && !isNaN(Number(s)) ? Number(s) : NaN;
+}
+
+function monthIndexOf(t) {
+  const d = new Date(t);
+  return d.getUTCFullYear() * 12 + d.getUTCMonth();
+}
+
+// Months a monitoring row reports on: its reporting date, else its period label.
+function rowMonthRange(r, columns) {
+  const t = parseDateValue(cellAt(r, columns.date));
+  if (!isNaN(t)) return { start: monthIndexOf(t), end: monthIndexOf(t) };
+  return periodLabelRange(cellAt(r, columns.period));
+}
+
+// Months a target covers: start/end dates win over the period label.
+function targetMonthRange(target) {
+  const labelRange = periodLabelRange(target.period);
+  const from = parseDateValue(target.start_date);
+  const to = parseDateValue(target.end_date);
+  const start = !isNaN(from) ? monthIndexOf(from) : labelRange?.start;
+  const end = !isNaN(to) ? monthIndexOf(to) : labelRange?.end;
+  return start !== undefined && end !== undefined && start <= end ? { start, end } : null;
+}
+
+function rowInTargetScope(r, columns, target, range) {
+  if (safeLower(cellAt(r, columns.project)) !== safeLower(target.project)) return false;
+  if (target.location && safeLower(cellAt(r, columns.location)) !== safeLower(target.location)) return false;
+
+  if (!target.period && !range) return true;
+  if (target.period && safeLower(cellAt(r, columns.period)) === safeLower(target.period)) return true;
+  const months = range && rowMonthRange(r, columns);
+  return Boolean(months && months.start >= range.start && months.end <= range.end);
+}
+
+function measureActual(indicator, rows, columns, scoring) {
+  if (!rows.length) return null;
+  if (indicator.measure === "count") return rows.length;
+  if (indicator.measure === "sum") return sumNumericColumn(rows, columns[indicator.field]);
+
+  if (indicator.key === "overall") {
+    const scores = MONITORING_KPIS.map((k) => kpiScore(k, rows, columns[k.field], scoring));
+    return scores.some((k) => k.records) ? weightedOverall(scores) : null;
+  }
+  const idx = columns[indicator.field];
+  if (!countRatings(rows, idx, scoring.scale)) return null;
+  return Math.round(percentFromRating(averageNumericColumn(rows, idx, scoring.scale), scoring.scale.max));
+}
+
+// Share of the target period elapsed by the latest month with data (percent).
+function expectedPercent(range, rows, columns) {
+  if (!range) return null;
+  const ends = rows.map((r) => rowMonthRange(r, columns)?.end).filter((m) => m !== undefined);
+  if (!ends.length) return null;
+  const elapsed = Math.min(Math.max(...ends), range.end) - range.start + 1;
+  const share = Math.max(0, Math.min(1, elapsed / (range.end - range.start + 1)));
+  return Math.round(share * 100);
+}
+
+function targetStatus(measure, achievement, expected, records) {
+  if (!records || achievement === null) return "no_data";
+  if (achievement >= 100) return "achieved";
+  // a KPI score is either at its target level or not; there is nothing to accumulate
+  if (measure === "percent") return "off_track";
+  if (expected === null) return "in_progress";
+  return achievement >= expected * TARGET_ON_TRACK_RATIO ? "on_track" : "off_track";
+}
+
+// Period-by-period actuals; sums and counts also carry the running total.
+function targetProgress(indicator, rows, columns, scoring, targetValue) {
+  const { groups } = groupRowsByPeriod(rows, columns);
+  let running = 0;
+  return groups.map((g) => {
+    const actual = measureActual(indicator, g.rows, columns, scoring);
+    const cumulative = indicator.measure === "percent" ? null : (running += actual || 0);
+    const reached = cumulative ?? actual;
+    return {
+      period: g.period,
+      actual,
+      cumulative,
+      percent_of_target: reached === null ? null : Math.round((reached / targetValue) * 100),
+    };
+  });
+}
+
+// Targets in the filtered targets dataset with actuals from the monitoring
+// dataset. Returns null when no targets dataset is configured.
+function computeTargets(targetsPart, monitoringPart) {
+  if (!targetsPart?.dataset) return null;
+
+  const { header, data, columns } = targetsPart.filtered;
+  const monColumns = resolveColumns(monitoringPart.rows?.[0] || [], monitoringPart.schema).index;
+  const monRows = dataRowsOf(monitoringPart.rows || []);
+  const scoring = monitoringPart.filtered.scoring;
+
+  const rowNumbers = new Map(targetsPart.rows.map((r, i) => [r, i + 1]));
+  const targets = [];
+  const skipped = [];
+
+  data.forEach((r) => {
+    const row = rowNumbers.get(r) ?? null;
+    const target = {
+      project: cellAt(r, columns.project),
+      indicator: cellAt(r, columns.indicator),
+      period: cellAt(r, columns.period),
+      location: cellAt(r, columns.location),
+      start_date: cellAt(r, columns.start_date),
+      end_date: cellAt(r, columns.end_date),
+    };
+    const value = parseTargetNumber(cellAt(r, columns.target));
+    const indicator = resolveIndicator(target.indicator, monitoringPart.schema);
+
+    if (!target.project) return skipped.push({ row, reason: "missing project" });
+    if (!indicator) return skipped.push({ row, reason: `unknown indicator "${target.indicator}"` });
+    if (indicator.field && !hasColumn(monColumns, indicator.field)) {
+      return skipped.push({ row, reason: `monitoring data has no ${indicator.field} column` });
+    }
+    if (!(value > 0)) {
+      return skipped.push({ row, reason: `target "${cellAt(r, columns.target)}" is not a positive number` });
+    }
+
+    const range = targetMonthRange(target);
+    const inScope = monRows.filter((m) => rowInTargetScope(m, monColumns, target, range));
+    const actual = measureActual(indicator, inScope, monColumns, scoring);
+    const achievement = actual === null ? null : Math.round((actual / value) * 100);
+    const expected = indicator.measure === "percent" ? null : expectedPercent(range, inScope, monColumns);
+
+    targets.push({
+      row,
+      project: target.project,
+      indicator: indicator.label,
+      indicator_key: indicator.key,
+      period: target.period || null,
+      location: target.location || null,
+      start_date: target.start_date || null,
+      end_date: target.end_date || null,
+      unit: cellAt(r, columns.unit) || TARGET_UNITS[indicator.measure],
+      target: value,
+      actual,
+      achievement_percent: achievement,
+      expected_percent: expected,
+      status: targetStatus(indicator.measure, achievement, expected, inScope.length),
+      records: inScope.length,
+      progress: targetProgress(indicator, inScope, monColumns, scoring, value),
+    });
+  });
+
+  const byStatus = Object.fromEntries(TARGET_STATUSES.map((s) => [s, 0]));
+  targets.forEach((t) => byStatus[t.status]++);
+
+  return {
+    dataset: targetsPart.dataset.name,
+    load_error: targetsPart.error || null,
+    records: header.length ? data.length : 0,
+    summary: { total: targets.length, by_status: byStatus },
+    targets,
+    skipped,
+  };
+}
+
+function formatTargetNumber(value, unit) {
+  if (value === null) return "n/a";
+  return unit === "percent" ? `${value}%` : `${value.toLocaleString("en-US")} ${unit}`;
+}
+
+// Text block for the LIVE summary
+function describeTargets(result) {
+  if (!result) return "No targets dataset is configured; do not state whether indicators are on or off track.";
+  if (result.load_error) return `Targets could not be loaded (${result.load_error}); do not state on/off-track status.`;
+  if (!result.targets.length) return "No targets match the current filters.";
+
+  const counts = TARGET_STATUSES.filter((s) => result.summary.by_status[s])
+    .map((s) => `${s.replace("_", " ")}: ${result.summary.by_status[s]}`)
+    .join(", ");
+  const lines = result.targets.slice(0, TARGETS_PROMPT_MAX).map((t) => {
+    const scope = [t.period || "all periods", t.location].filter(Boolean).join(", ");
+    const expected = t.expected_percent === null ? "" : `; expected ${t.expected_percent}% by the latest period`;
+    const achieved = t.achievement_percent === null ? "n/a" : `${t.achievement_percent}%`;
+    const actual = `${formatTargetNumber(t.actual, t.unit)} of ${formatTargetNumber(t.target, t.unit)}`;
+    const status = t.status.replace("_", " ");
+    return `- ${t.project} / ${t.indicator} (${scope}): ${actual} = ${achieved}${expected} → ${status}`;
+  });
+  const hidden = result.targets.length - TARGETS_PROMPT_MAX;
+  const more = hidden > 0 ? `\n- …and ${hidden} more` : "";
+  return `${result.summary.total} target(s) — ${counts}\n${lines.join("\n")}${more}`;
+}
+
+// =====================================================
+// Qualitative analysis (achievements, challenges, actions)
+// =====================================================
+// Reads the free-text columns of every filtered monitoring row: keyword
+// frequencies and recurring two-word phrases per column, plus challenge
+// categories counted per location and period. Counts are rows, so a word
+// repeated inside one submission counts once.
+const QUALITATIVE_FIELDS = [
+  { field: "achievements", label: "Achievements" },
+  { field: "challenges", label: "Challenges / risks" },
+  { field: "actions", label: "Actions / recommendations" },
+];
+const QUALITATIVE_TOP = 10;
+const QUALITATIVE_EXAMPLES = 2;
+
+const THEMES_CONFIG_PATH = path.resolve(process.env.THEMES_CONFIG || "config/themes.json");
+
+// Keywords match the start of a word, so "fund" also catches "funding".
+const DEFAULT_CHALLENGE_CATEGORIES = {
+  logistics: {
+    label: "Logistics & access",
+    keywords: ["road", "access", "transport", "fuel", "vehicle", "logistic", "supply", "supplies", "deliver", "remote"],
+  },
+  funding: {
+    label: "Funding & finance",
+    keywords: ["fund", "budget", "donor", "financ", "cost", "cash", "payment", "disburse"],
+  },
+  security: {
+    label: "Security",
+    keywords: ["security", "insecurity", "fighting", "conflict", "violence", "tribal", "theft", "crime", "unrest"],
+  },
+  weather: {
+    label: "Weather & environment",
+    keywords: ["rain", "flood", "weather", "storm", "cyclone", "drought", "landslide", "wet season"],
+  },
+  staffing: {
+    label: "Staffing & capacity",
+    keywords: ["staff", "shortage", "recruit", "turnover", "nurse", "volunteer", "personnel", "capacity"],
+  },
+  community: {
+    label: "Community engagement",
+    keywords: ["community", "participation", "attendance", "leaders", "resistance", "mobilis", "mobiliz"],
+  },
+  coordination: {
+    label: "Coordination & approvals",
+    keywords: ["coordination", "partner", "government", "approval", "permit", "stakeholder"],
+  },
+};
+
+const DEFAULT_STOPWORDS = `a about above after again all also an and any are as at be been before being below
+between both but by can could did do does done during each few for from further had has have having here how
+if in into is it its itself just more most no nor not of off on once only or other our out over own per same
+should so some such than that the their them then there these they this those through to too under until up
+very was we were what when where which while who why will with would you your period well new due still
+many much need needs needed ongoing`
+  .split(/\s+/)
+  .filter(Boolean);
+
+// Themes file: { "categories": { "<key>": { "label", "keywords": [...] } }, "stopwords": [...] }.
+// Categories given in the file replace the built-in category with the same key.
+async function loadThemeConfig() {
+  let raw = {};
+  try {
+    raw = JSON.parse(await fs.readFile(THEMES_CONFIG_PATH, "utf8")) || {};
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      throw new Error(`Invalid themes config ${THEMES_CONFIG_PATH}: ${err.message}`);
+    }
+  }
+
+  const categories = {};
+  Object.entries({ ...DEFAULT_CHALLENGE_CATEGORIES, ...(raw.categories || {}) }).forEach(([key, spec]) => {
+    const keywords = Array.isArray(spec?.keywords) ? spec.keywords.map(safeLower).filter(Boolean) : [];
+    if (!keywords.length) {
+      throw new Error(`Invalid themes config ${THEMES_CONFIG_PATH}: category "${key}" needs keywords.`);
+    }
+    categories[key] = {
+      label: spec.label ? String(spec.label) : key,
+      keywords,
+      patterns: keywords.map((k) => new RegExp(`(?<![\\p{L}\\d])${k.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}`, "u")),
+    };
+  });
+
+  const extraStopwords = Array.isArray(raw.stopwords) ? raw.stopwords.map(safeLower) : [];
+  return { categories, stopwords: new Set([...DEFAULT_STOPWORDS, ...extraStopwords]) };
+}
+
+const themeConfig = await loadThemeConfig();
+
+// Clauses of lower-case words (punctuation breaks phrases).
+function textClauses(text) {
+  return safeLower(text)
+    .split(/[.,;:!?()\n/]+|\s[-–]\s/)
+    .map((clause) => clause.match(/[\p{L}][\p{L}'-]*/gu) || [])
+    .filter((words) => words.length);
+}
+
+function isKeyword(word) {
+  return word.length >= 3 && !themeConfig.stopwords.has(word);
+}
+
+// Keywords and adjacent keyword pairs in one text, each listed once.
+function textTerms(text) {
+  const keywords = new Set();
+  const phrases = new Set();
+  textClauses(text).forEach((words) => {
+    words.forEach((w, i) => {
+      if (!isKeyword(w)) return;
+      keywords.add(w);
+      if (isKeyword(words[i + 1] || "")) phrases.add(`${w} ${words[i + 1]}`);
+    });
+  });
+  return { keywords, phrases };
+}
+
+function topCounts(counts, top, minCount = 1) {
+  return [...counts.entries()]
+    .filter(([, n]) => n >= minCount)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, top);
+}
+
+function textCategories(text) {
+  const s = safeLower(text);
+  return Object.keys(themeConfig.categories).filter((key) =>
+    themeConfig.categories[key].patterns.some((p) => p.test(s))
+  );
+}
+
+function increment(map, key) {
+  map.set(key, (map.get(key) || 0) + 1);
+}
+
+// part is ctx.monitoring ({ rows, filtered }); top = entries per list.
+function analyseQualitative(part, { top = QUALITATIVE_TOP } = {}) {
+  const { data, columns } = part.filtered;
+  const rowNumbers = new Map((part.rows || []).map((r, i) => [r, i + 1]));
+
+  const fields = QUALITATIVE_FIELDS.map(({ field, label }) => {
+    const idx = columns[field];
+    if (!hasColumn(columns, field)) return { field, label, available: false, responses: 0, keywords: [], themes: [] };
+
+    const keywords = new Map();
+    const phrases = new Map();
+    let responses = 0;
+    data.forEach((r) => {
+      const text = cellAt(r, idx);
+      if (!text) return;
+      responses++;
+      const terms = textTerms(text);
+      terms.keywords.forEach((k) => increment(keywords, k));
+      terms.phrases.forEach((p) => increment(phrases, p));
+    });
+
+    return {
+      field,
+      label,
+      available: true,
+      responses,
+      keywords: topCounts(keywords, top).map(([term, count]) => ({ term, count })),
+      // a theme is a phrase that recurs across submissions
+      themes: topCounts(phrases, top, 2).map(([phrase, count]) => ({ phrase, count })),
+    };
+  });
+
+  const periodOrder = groupRowsByPeriod(data, columns).groups.map((g) => g.period);
+  const categories = new Map(
+    Object.entries(themeConfig.categories).map(([key, c]) => [
+      key,
+      { category: key, label: c.label, count: 0, byLocation: new Map(), byPeriod: new Map(), examples: [] },
+    ])
+  );
+  let challengeResponses = 0;
+  let uncategorised = 0;
+
+  if (hasColumn(columns, "challenges")) {
+    data.forEach((r) => {
+      const text = cellAt(r, columns.challenges);
+      if (!text) return;
+      challengeResponses++;
+      const keys = textCategories(text);
+      if (!keys.length) uncategorised++;
+      keys.forEach((key) => {
+        const c = categories.get(key);
+        c.count++;
+        increment(c.byLocation, cellAt(r, columns.location) || "(no location)");
+        increment(c.byPeriod, cellAt(r, columns.period) || "(no period)");
+        if (c.examples.length < QUALITATIVE_EXAMPLES) c.examples.push({ row: rowNumbers.get(r) ?? null, text });
+      });
+    });
+  }
+
+  const challengeCategories = [...categories.values()]
+    .filter((c) => c.count)
+    .sort((a, b) => b.count - a.count)
+    .map((c) => ({
+      category: c.category,
+      label: c.label,
+      count: c.count,
+      percent: Math.round((c.count / challengeResponses) * 100),
+      by_location: topCounts(c.byLocation, Infinity).map(([key, count]) => ({ key, count })),
+      by_period: periodOrder.filter((p) => c.byPeriod.has(p)).map((key) => ({ key, count: c.byPeriod.get(key) })),
+      examples: c.examples,
+    }));
+
+  return {
+    records: data.length,
+    fields,
+    challenge_categories: challengeCategories,
+    challenge_responses: challengeResponses,
+    uncategorised_challenges: uncategorised,
+  };
+}
+
+// Text block for the LIVE summary
+function describeQualitative(q) {
+  if (!q.records) return "No monitoring records to analyse.";
+
+  const fieldLines = q.fields.map((f) => {
+    if (!f.available) return `- ${f.label}: column not found`;
+    if (!f.responses) return `- ${f.label}: no responses`;
+    const keywords = f.keywords.map((k) => `${k.term} (${k.count})`).join(", ");
+    const phrases = f.themes.map((t) => `"${t.phrase}" (${t.count})`).join(", ");
+    const themes = phrases ? `; recurring: ${phrases}` : "";
+    return `- ${f.label} (${f.responses} responses): ${keywords}${themes}`;
+  });
+
+  const categoryLines = q.challenge_categories.map((c) => {
+    const where = c.by_location.map((g) => `${g.key} ${g.count}`).join(", ");
+    const when = c.by_period.map((g) => `${g.key} ${g.count}`).join(", ");
+    const share = `${c.count} of ${q.challenge_responses} (${c.percent}%)`;
+    return `- ${c.label}: ${share}; by location: ${where}; by period: ${when}`;
+  });
+  if (q.uncategorised_challenges) categoryLines.push(`- Uncategorised: ${q.uncategorised_challenges}`);
+
+  return `Keywords (rows mentioning each):
+${fieldLines.join("\n")}
+
+Challenge categories:
+${categoryLines.join("\n") || "- No challenge text in the filtered records."}`;
+}
+
+// =====================================================
+// Row retrieval (BM25 over monitoring + evaluation rows)
+// =====================================================
+// The LIVE summaries are aggregates, so the prompt also carries the records
+// most relevant to the user's message: every row becomes a small document,
+// filtered rows are ranked with BM25 against the message and the best ones
+// are added until the token budget is spent. Rows are cited by id: "M12" is
+// sheet row 12 of the monitoring dataset, "E4" row 4 of the evaluation one.
+const RETRIEVAL_TOKEN_BUDGET = Math.max(0, Number(process.env.RETRIEVAL_TOKEN_BUDGET || 1500));
+const RETRIEVAL_MAX_ROWS = 40;
+const RETRIEVAL_MAX_ROW_CHARS = 800;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const ROW_ID_PREFIX = { monitoring: "M", evaluation: "E" };
+
+// Query words that never help ranking rows (independent of the themes
+// config, so place words such as "province" or "district" stay searchable)
+const RETRIEVAL_STOPWORDS = new Set(
+  `a about above after again all also an and any are as at be been before being below between both but by can
+could did do does done during each few for from further had has have having here how if in into is it its itself
+just me more most my no nor not of off on once only or other our out over own please same should show so some
+such tell give than that the their them then there these they this those through to too under until up very was
+we were what when where which while who why will with would you your`.split(/\s+/)
+);
+
+// Rough count (≈4 characters per token), good enough for budgeting
+function estimateTokens(str) {
+  return Math.ceil(String(str || "").length / 4);
+}
+
+// Light plural folding so "challenges" finds "challenge"
+function stemToken(word) {
+  if (/\d/.test(word) || word.length <= 3) return word;
+  if (word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+  if (word.endsWith("s") && !word.endsWith("ss")) return word.slice(0, -1);
+  return word;
+}
+
+function searchTokens(text) {
+  return (safeLower(text).match(/[\p{L}\d]+/gu) || [])
+    .filter((w) => !RETRIEVAL_STOPWORDS.has(w) && (w.length > 1 || /\d/.test(w)))
+    .map(stemToken);
+}
+
+function rowId(kind, rowNumber) {
+  return `${ROW_ID_PREFIX[kind]}${rowNumber}`;
+}
+
+// [[name, value]] for the mapped schema fields of a row. Unmapped columns
+// (reporter names, emails, phone numbers...) never reach the prompt or the
+// evidence returned with replies.
+function rowFields(r, columns) {
+  const pairs = [];
+  Object.entries(columns).forEach(([field, idx]) => {
+    if (idx === -1 || idx === undefined) return;
+    const v = cellAt(r, idx);
+    if (v) pairs.push([field, v]);
+  });
+  return pairs;
+}
+
+// "[M12] project: WASH | period: Q2 2025 | ..."
+function rowDocumentText(id, pairs) {
+  const text = `[${id}] ${pairs.map(([name, v]) => `${name}: ${v}`).join(" | ")}`;
+  return text.length > RETRIEVAL_MAX_ROW_CHARS ? `${text.slice(0, RETRIEVAL_MAX_ROW_CHARS - 1)}…` : text;
+}
+
+const rowIndexCache = new WeakMap(); // dataset rows -> Map(kind -> index)
+
+// BM25 statistics over every row of a dataset, reused while the cached rows
+// stay the same; filtered rows are looked up in `byRow`.
+function buildRowIndex(kind, part) {
+  const rows = part.rows || [];
+  let perRows = rowIndexCache.get(rows);
+  if (perRows?.has(kind)) return perRows.get(kind);
+
+  const header = rows[0] || [];
+  const columns = resolveColumns(header, part.schema).index;
+  const docFreq = new Map();
+  const byRow = new Map();
+  let totalLength = 0;
+
+  rows.slice(1).forEach((r, i) => {
+    const id = rowId(kind, i + 2);
+    const pairs = rowFields(r, columns);
+    const text = rowDocumentText(id, pairs);
+    // only values are indexed: every row has the same column names
+    const tokens = searchTokens(pairs.map(([, v]) => v).join(" "));
+    const tf = new Map();
+    tokens.forEach((t) => tf.set(t, (tf.get(t) || 0) + 1));
+    tf.forEach((_, t) => docFreq.set(t, (docFreq.get(t) || 0) + 1));
+    totalLength += tokens.length;
+    byRow.set(r, { id, kind, row: i + 2, text, tf, length: tokens.length });
+  });
+
+  const index = { byRow, docFreq, docCount: byRow.size, avgLength: byRow.size ? totalLength / byRow.size : 0 };
+  if (!perRows) {
+    perRows = new Map();
+    rowIndexCache.set(rows, perRows);
+  }
+  perRows.set(kind, index);
+  return index;
+}
+
+function bm25Score(doc, terms, index) {
+  let score = 0;
+  terms.forEach((t) => {
+    const f = doc.tf.get(t);
+    if (!f) return;
+    const df = index.docFreq.get(t) || 0;
+    const idf = Math.log(1 + (index.docCount - df + 0.5) / (df + 0.5));
+    const norm = f + BM25_K1 * (1 - BM25_B + (BM25_B * doc.length) / (index.avgLength || 1));
+    score += idf * ((f * (BM25_K1 + 1)) / norm);
+  });
+  return score;
+}
+
+// Most relevant filtered rows for the message within the token budget:
+// keyword matches by score, then the newest remaining rows fill what is left.
+function retrieveRows(message, dataCtx, { budget = RETRIEVAL_TOKEN_BUDGET } = {}) {
+  const terms = [...new Set(searchTokens(message))];
+  const candidates = [];
+
+  ["monitoring", "evaluation"].forEach((kind) => {
+    const part = dataCtx[kind];
+    if (!part.filtered.data.length) return;
+    const index = buildRowIndex(kind, part);
+    part.filtered.data.forEach((r) => {
+      const doc = index.byRow.get(r);
+      if (doc) candidates.push({ doc, score: bm25Score(doc, terms, index) });
+    });
+  });
+
+  const newestFirst = (a, b) => b.doc.row - a.doc.row;
+  const matched = candidates.filter((c) => c.score > 0).sort((a, b) => b.score - a.score || newestFirst(a, b));
+  const ranked = [...matched, ...candidates.filter((c) => c.score === 0).sort(newestFirst)];
+
+  const selected = [];
+  let tokensUsed = 0;
+  for (const c of ranked) {
+    if (selected.length >= RETRIEVAL_MAX_ROWS) break;
+    const cost = estimateTokens(c.doc.text);
+    if (tokensUsed + cost > budget) continue;
+    tokensUsed += cost;
+    selected.push(c);
+  }
+
+  return {
+    mode: matched.length ? "bm25" : "recent",
+    query_terms: terms,
+    token_budget: budget,
+    tokens_used: tokensUsed,
+    candidates: candidates.length,
+    matched: matched.length,
+    rows: selected.map(({ doc, score }) => ({
+      id: doc.id,
+      kind: doc.kind,
+      row: doc.row,
+      score: Math.round(score * 1000) / 1000,
+      text: doc.text,
+    })),
+  };
+}
+
+// Text block for the prompt
+function describeRetrieval(result) {
+  if (!result.candidates) return "No filtered records to draw on.";
+  const how =
+    result.mode === "bm25"
+      ? `${result.matched} keyword match(es) for: ${result.query_terms.join(", ")}, best first, then the most recent`
+      : "no keyword match with the request, so the most recent records";
+  const head = `${result.rows.length} of ${result.candidates} filtered record(s) — ${how}.`;
+  return `${head}\n${result.rows.map((r) => r.text).join("\n")}`;
+}
+
+// Reply field: which rows the model was given (without their text)
+function retrievalOverview(result) {
+  if (!result) return null;
+  const { rows, ...rest } = result;
+  return { ...rest, rows: rows.map(({ id, kind, row, score }) => ({ id, kind, row, score })) };
+}
+
+// =====================================================
+// Source citations (findings -> rows and metrics)
+// =====================================================
+// The model lists, for every key finding and recommendation, the record ids
+// ("M12", "E4") and metric ids ("monitoring.budget") it relied on. Record ids
+// are only accepted when the row is part of the filtered data the answer was
+// built from; accepted rows come back with an excerpt as evidence.
+const SOURCE_LISTS = [
+  { list: "key_findings", sources: "key_finding_sources" },
+  { list: "recommendations", sources: "recommendation_sources" },
+];
+
+// Aggregate figures the model may cite, by id.
+function metricCatalogue(chat) {
+  const metrics = new Map();
+  const add = (id, label, value, unit) => metrics.set(id, { label, value, unit });
+
+  [
+    ["monitoring", MONITORING_KPIS, chat.monVisuals, chat.monFiltered],
+    ["evaluation", EVALUATION_KPIS, chat.evalVisuals, chat.evalFiltered],
+  ].forEach(([kind, kpis, visuals, filtered]) => {
+    add(`${kind}.records`, `${kind} records`, filtered.data?.length || 0, "records");
+    kpis.forEach((k) => {
+      const score = visuals.kpi_scores.find((s) => s.label === k.label);
+      if (score?.records) add(`${kind}.${k.field}`, `${kind} ${k.label} score`, score.percent, "percent");
+    });
+    if (visuals.kpi_scores.length) {
+      add(`${kind}.overall`, `${kind} overall score`, weightedOverall(visuals.kpi_scores), "percent");
+    }
+  });
+
+  const mon = chat.monFiltered;
+  const beneficiaries = mon.data?.length ? sumNumericColumn(mon.data, mon.columns.beneficiaries) : null;
+  if (beneficiaries !== null) add("monitoring.beneficiaries", "beneficiaries reached", beneficiaries, "count");
+  add("combined_score", "combined score", chat.combinedVisuals.combined_score_percent, "percent");
+  return metrics;
+}
+
+// Text block for the prompt
+function describeMetricIds(metrics) {
+  return [...metrics.entries()]
+    .map(([id, m]) => `- ${id}: ${m.unit === "percent" ? `${m.value}%` : m.value}`)
+    .join("\n");
+}
+
+// Filtered rows of both datasets by record id.
+function filteredRowsById(chat) {
+  const byId = new Map();
+  ["monitoring", "evaluation"].forEach((kind) => {
+    const part = chat.dataCtx[kind];
+    const rowNumbers = new Map((part.rows || []).map((r, i) => [r, i + 1]));
+    part.filtered.data.forEach((r) => {
+      const row = rowNumbers.get(r);
+      if (row) byId.set(rowId(kind, row), { kind, row, r, part });
+    });
+  });
+  return byId;
+}
+
+function cleanSourceRefs(list) {
+  return [...new Set(cleanStringList(list).map((ref) => ref.replace(/^\[|\]$/g, "").trim()))].filter(Boolean);
+}
+
+// Pair each final finding / recommendation with its verified sources. Items
+// that were padded in by the backend have none.
+function buildCitations(aiJson, finalLists, chat) {
+  const rowsById = filteredRowsById(chat);
+  const metrics = metricCatalogue(chat);
+  const evidence = { rows: {}, metrics: {} };
+  const unverified = [];
+  const out = {};
+
+  SOURCE_LISTS.forEach(({ list, sources }) => {
+    const rawItems = Array.isArray(aiJson[list]) ? aiJson[list] : [];
+    const rawSources = Array.isArray(aiJson[sources]) ? aiJson[sources] : [];
+    // same clean-up as patchList, so kept items line up with their sources
+    const answered = rawItems
+      .map((item, i) => ({ text: typeof item === "string" ? item.trim() : "", src: rawSources[i] }))
+      .filter((a) => a.text);
+
+    out[list] = finalLists[list].map((item, index) => {
+      const src = (answered[index]?.text === item && answered[index].src) || {};
+      const rows = [];
+      const metricIds = [];
+
+      cleanSourceRefs(src.rows).forEach((ref) => {
+        const id = ref.toUpperCase();
+        const hit = rowsById.get(id);
+        if (!hit) {
+          const reason = /^[ME]\d+$/.test(id) ? "row is not in the filtered data" : "unknown record id";
+          unverified.push({ list, index, ref, reason });
+          return;
+        }
+        rows.push(id);
+        if (!evidence.rows[id]) {
+          const { columns } = hit.part.filtered;
+          const pairs = rowFields(hit.r, columns);
+          evidence.rows[id] = {
+            kind: hit.kind,
+            row: hit.row,
+            excerpt: rowDocumentText(id, pairs).slice(id.length + 3),
+            fields: Object.fromEntries(pairs),
+          };
+        }
+      });
+
+      cleanSourceRefs(src.metrics).forEach((ref) => {
+        const id = safeLower(ref);
+        if (!metrics.has(id)) {
+          unverified.push({ list, index, ref, reason: "unknown metric id" });
+          return;
+        }
+        metricIds.push(id);
+        evidence.metrics[id] = metrics.get(id);
+      });
+
+      return { index, rows, metrics: metricIds };
+    });
+  });
+
+  return { ...out, evidence, unverified };
+}
+
+// =====================================================
+// Numeric fact check (AI text vs backend figures)
+// =====================================================
+// Every percentage, average rating and count in the answer is read together
+// with its sentence. Backend figures whose keywords appear in that sentence
+// ("budget", "beneficiaries", "Lae", ...) are the candidates: a figure within
+// tolerance of one of them is matched, otherwise it is a mismatch. Figures
+// with no keyword candidate are matched against every backend figure of the
+// same unit, or left unverified. Point differences ("down 12 pts") may be
+// derived by the model, so they are never reported as mismatches.
+const FACT_CHECK_TOLERANCE = { percent: 1, points: 1, rating: 0.05, count_ratio: 0.01 };
+const FACT_CHECK_ANNOTATE = ["1", "true", "yes"].includes(safeLower(process.env.FACT_CHECK_ANNOTATE || ""));
+const FACT_CHECK_MAX_ISSUES = 50;
+
+function keywordVariants(text) {
+  const s = safeLower(text);
+  const parts = s.split(/\s*[-–/,:|]\s*/).filter((p) => p.length >= 3);
+  return [...new Set([s, ...parts])];
+}
+
+// Every figure the prompt gave the model, with the words that name it.
+// Headline figures (whole filtered data) are preferred when reporting what a
+// mismatched figure should have been.
+function backendFigures(chat) {
+  const figures = [];
+  const add = (label, keywords, unit, value, headline = false) => {
+    if (value === null || value === undefined || !Number.isFinite(Number(value))) return;
+    figures.push({ label, keywords: keywords.map(safeLower).filter(Boolean), unit, value: Number(value), headline });
+  };
+  const bands = ["good", "watch", "poor"];
+  const addDistribution = (prefix, distribution) => {
+    const total = bands.reduce((n, b) => n + (distribution?.[b] || 0), 0);
+    bands.forEach((b) => {
+      add(`${prefix} ${b} records`, [b], "count", distribution?.[b]);
+      if (total) add(`${prefix} share of ${b} records`, [b], "percent", Math.round((distribution[b] / total) * 100));
+    });
+  };
+
+  [
+    ["monitoring", MONITORING_KPIS, chat.monVisuals, chat.monFiltered],
+    ["evaluation", EVALUATION_KPIS, chat.evalVisuals, chat.evalFiltered],
+  ].forEach(([kind, kpis, visuals, filtered]) => {
+    add(`${kind} records`, ["record", "submission", "entries", "response"], "count", filtered.data?.length || 0, true);
+    kpis.forEach((k) => {
+      const score = visuals.kpi_scores.find((s) => s.label === k.label);
+      if (!score?.records) return;
+      const keywords = [k.field, safeLower(k.label)];
+      const avg = averageNumericColumn(filtered.data, filtered.columns[k.field], filtered.scoring.scale);
+      add(`${kind} ${k.label} score`, keywords, "percent", score.percent, true);
+      add(`${kind} ${k.label} average rating`, keywords, "rating", Math.round(avg * 100) / 100, true);
+    });
+    if (visuals.kpi_scores.length) {
+      add(`${kind} overall score`, ["overall"], "percent", weightedOverall(visuals.kpi_scores), true);
+    }
+    addDistribution(kind, visuals.distribution);
+  });
+
+  add("combined score", ["combined", "overall"], "percent", chat.combinedVisuals.combined_score_percent, true);
+  addDistribution("combined", chat.combinedVisuals.combined_distribution);
+
+  const mon = chat.monFiltered;
+  if (mon.data?.length) {
+    const beneficiaries = sumNumericColumn(mon.data, mon.columns.beneficiaries);
+    add("beneficiaries reached", ["beneficiar", "reached"], "count", beneficiaries, true);
+  }
+
+  const trends = chat.monVisuals.trends;
+  (trends?.series || []).forEach((s) => {
+    const percent = s.unit === "percent";
+    s.values.forEach((v, i) => {
+      const period = trends.periods[i];
+      const keywords = [safeLower(s.label), ...keywordVariants(period)];
+      add(`${s.label} in ${period}`, keywords, percent ? "percent" : "count", v);
+      if (s.deltas[i] === null) return;
+      add(`${s.label} change to ${period}`, keywords, percent ? "points" : "count", Math.abs(s.deltas[i]));
+    });
+  });
+
+  (chat.breakdowns || []).forEach((b) => {
+    b.groups.forEach((g) => {
+      const keywords = keywordVariants(g.key);
+      add(`${b.kind} ${g.key} overall score`, keywords, "percent", g.overall_percent);
+      add(`${b.kind} ${g.key} records`, keywords, "count", g.records);
+      g.kpi_scores.forEach((s) => add(`${b.kind} ${g.key} ${s.label} score`, keywords, "percent", s.percent));
+    });
+    if (b.ranking) {
+      add(`${b.kind} ${b.dimension} spread`, [b.dimension, "spread", "gap"], "points", b.ranking.spread_points);
+    }
+  });
+
+  (chat.targets?.targets || []).forEach((t) => {
+    const keywords = ["target", safeLower(t.project), t.indicator_key, safeLower(t.indicator)];
+    const unit = t.unit === "percent" ? "percent" : "count";
+    add(`${t.project} ${t.indicator} achievement`, keywords, "percent", t.achievement_percent);
+    add(`${t.project} ${t.indicator} expected progress`, keywords, "percent", t.expected_percent);
+    add(`${t.project} ${t.indicator} actual`, keywords, unit, t.actual);
+    add(`${t.project} ${t.indicator} target`, keywords, unit, t.target);
+  });
+
+  (chat.qualitative?.challenge_categories || []).forEach((c) => {
+    const keywords = [c.category, ...keywordVariants(c.label).flatMap((l) => l.split(/\s*&\s*/))];
+    add(`${c.label} challenges`, keywords, "count", c.count);
+    add(`${c.label} share of challenges`, keywords, "percent", c.percent);
+  });
+
+  (chat.dataQuality || []).forEach((q) => {
+    add(`${q.kind} data-quality issues`, ["issue", "flag", "quality"], "count", q.issue_count);
+    add(`${q.kind} rows with issues`, ["issue", "flag", "quality", "row"], "count", q.rows_affected);
+  });
+
+  return figures;
+}
+
+const keywordPatterns = new Map();
+
+function mentions(sentence, keyword) {
+  if (!keywordPatterns.has(keyword)) {
+    keywordPatterns.set(keyword, new RegExp(`(?<![\\p{L}\\d])${keyword.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}`, "u"));
+  }
+  return keywordPatterns.get(keyword).test(sentence);
+}
+
+function withinTolerance(unit, found, expected) {
+  if (unit === "count") return Math.abs(found - expected) <= Math.abs(expected) * FACT_CHECK_TOLERANCE.count_ratio;
+  return Math.abs(found - expected) <= FACT_CHECK_TOLERANCE[unit] + 1e-9;
+}
+
+// The sentence (or table row / list item) around text[start..end).
+function sentenceAround(text, start, end) {
+  const isStop = (i) => /[.!?]/.test(text[i]) && (i + 1 >= text.length || /\s/.test(text[i + 1]));
+  let a = start;
+  while (a > 0 && text[a - 1] !== "\n" && !(a >= 2 && isStop(a - 2))) a--;
+  let b = end;
+  while (b < text.length && text[b] !== "\n" && !isStop(b)) b++;
+  return text.slice(a, b).trim();
+}
+
+// Words right next to a bare number ("3 records", "records: 3"), stopping at
+// punctuation, so "Over the last 6 months, 3 records..." ties 3 (not 6) to
+// "records".
+function countNeighbourhood(text, start, end) {
+  const words = (str) => str.match(/[\p{L}\d'-]+/gu) || [];
+  const before = text.slice(Math.max(0, start - 60), start).split(/[,;.!?()\n|]/).pop();
+  const after = text.slice(end, end + 60).split(/[,;:.!?()\n|]/)[0];
+  return [...words(before).slice(-2), ...words(after).slice(0, 3)].join(" ");
+}
+
+// Figures in a text: { value, unit, raw, start, end, sentence, near }. Years,
+// list numbers and ids such as "M12" or "Q2" are skipped; near is set for
+// bare counts (see countNeighbourhood).
+function extractFigures(text) {
+  const out = [];
+  // a "/" may only follow as a rating ("3.5/5"), not as a date ("12/05/2025")
+  const re = /(?<![\p{L}\d.,/-])(\d{1,3}(?:,\d{3})+|\d+(?:\.\d+)?)(?![\p{L}\d-]|[.,]\d|\/(?!\s*\d+(?![\d/]|\.\d)))/gu;
+  let m;
+  while ((m = re.exec(text))) {
+    const value = Number(m[1].replace(/,/g, ""));
+    const start = m.index;
+    let end = start + m[0].length;
+    const after = text.slice(end, end + 30);
+    const sentence = sentenceAround(text, start, end);
+    let unit = null;
+
+    const unitMatch =
+      after.match(/^\s*(%|percent\b|per cent\b)/i) ||
+      after.match(/^\s*(pts\b|points?\b|percentage points\b|pp\b)/i) ||
+      after.match(/^\s*(?:\/|out of)\s*(\d+)(?![\d/]|\.\d)/i);
+    if (unitMatch && /^\s*(%|per)/i.test(unitMatch[0])) unit = "percent";
+    else if (unitMatch && /^\s*(pts|point|percentage|pp)/i.test(unitMatch[0])) unit = "points";
+    else if (unitMatch) unit = Number(unitMatch[1]) === 100 ? "percent" : "rating";
+
+    if (unit) {
+      end += unitMatch[0].length;
+      re.lastIndex = end; // the "/ 5" of a rating is not a figure of its own
+    } else {
+      const lineStart = text.lastIndexOf("\n", start - 1) + 1;
+      const isListNumber = /^\s*[#>*-]*\s*$/.test(text.slice(lineStart, start)) && /^[.)]\s/.test(after);
+      const isYear = Number.isInteger(value) && value >= 1900 && value <= 2100;
+      if (isListNumber || isYear) continue;
+      const ratingWords = /\b(average|avg|mean|rating|rated)\b/i.test(sentence);
+      unit = m[1].includes(".") ? (ratingWords && value <= 10 ? "rating" : null) : "count";
+      if (!unit) continue;
+    }
+
+    const near = unit === "count" ? countNeighbourhood(text, start, end) : null;
+    out.push({ value, unit, raw: text.slice(start, end), start, end, sentence, near });
+  }
+  return out;
+}
+
+function formatFigure(value, unit) {
+  if (unit === "percent") return `${value}%`;
+  if (unit === "points") return `${value} pts`;
+  return String(value);
+}
+
+// Check one text; returns the findings and the (optionally annotated) text.
+function factCheckText(field, text, figures) {
+  const results = extractFigures(text).map((f) => {
+    // a bare count is only compared when what it counts is named next to it
+    const isCount = f.unit === "count";
+    const lower = safeLower(isCount ? f.near : f.sentence);
+    const sameUnit = figures.filter((b) => b.unit === f.unit);
+    const candidates = sameUnit.filter((b) => b.keywords.some((k) => mentions(lower, k)));
+    const pool = candidates.length || isCount ? candidates : sameUnit;
+    const hit = pool.find((b) => withinTolerance(f.unit, f.value, b.value));
+
+    if (hit) return { ...f, field, status: "matched", metric: hit.label, expected: hit.value };
+    if (!candidates.length || f.unit === "points") return { ...f, field, status: "unverified" };
+
+    const headline = candidates.filter((b) => b.headline);
+    const nearest = (headline.length ? headline : candidates).reduce((a, b) =>
+      Math.abs(b.value - f.value) < Math.abs(a.value - f.value) ? b : a
+    );
+    return { ...f, field, status: "mismatch", metric: nearest.label, expected: nearest.value };
+  });
+
+  let annotated = text;
+  if (FACT_CHECK_ANNOTATE) {
+    results
+      .filter((r) => r.status === "mismatch")
+      .sort((a, b) => b.end - a.end)
+      .forEach((r) => {
+        const note = ` [check: backend ${formatFigure(r.expected, r.unit)}]`;
+        annotated = annotated.slice(0, r.end) + note + annotated.slice(r.end);
+      });
+  }
+  return { results, text: annotated };
+}
+
+// Fact-check the answer texts. Returns { report, texts } where texts holds
+// the annotated copies when FACT_CHECK_ANNOTATE is on.
+function factCheckAnswer({ report_markdown, key_findings, recommendations }, chat) {
+  if (!chat.liveData) {
+    return {
+      report: { status: "skipped", reason: "no live data was given for this intent" },
+      texts: { report_markdown, key_findings, recommendations },
+    };
+  }
+
+  const figures = backendFigures(chat);
+  const markdown = factCheckText("report_markdown", report_markdown, figures);
+  const lists = {};
+  const results = [...markdown.results];
+  [["key_findings", key_findings], ["recommendations", recommendations]].forEach(([name, list]) => {
+    lists[name] = (list || []).map((item, i) => {
+      const checked = factCheckText(`${name}[${i}]`, item, figures);
+      results.push(...checked.results);
+      return checked.text;
+    });
+  });
+
+  const count = (status) => results.filter((r) => r.status === status).length;
+  const mismatches = results.filter((r) => r.status === "mismatch");
+  let status = "pass";
+  if (mismatches.length) status = "mismatches";
+  else if (!results.length) status = "no_figures";
+
+  return {
+    report: {
+      status,
+      figures_found: results.length,
+      matched: count("matched"),
+      mismatched: mismatches.length,
+      unverified: count("unverified"),
+      annotated: FACT_CHECK_ANNOTATE && mismatches.length > 0,
+      tolerance: { percent_points: FACT_CHECK_TOLERANCE.percent, rating: FACT_CHECK_TOLERANCE.rating, count: "1%" },
+      mismatches: mismatches.slice(0, FACT_CHECK_MAX_ISSUES).map((r) => ({
+        field: r.field,
+        figure: r.raw,
+        value: r.value,
+        unit: r.unit,
+        expected: r.expected,
+        metric: r.metric,
+        context: r.sentence.length > 200 ? `${r.sentence.slice(0, 199)}…` : r.sentence,
+      })),
+    },
+    texts: { report_markdown: markdown.text, ...lists },
+  };
+}
+
+// =====================================================
+// Data context (shared by the chat + data endpoints)
+// =====================================================
+// Targets are optional extras: a broken or not-yet-uploaded targets file is
+// reported with the targets instead of failing the whole request.
+const targetsLoadErrors = new Map(); // dataset name -> last error already logged
+
+async function loadTargetsDataset(dataset, options) {
+  try {
+    const loaded = await loadDataset(dataset, options);
+    if (dataset) targetsLoadErrors.delete(dataset.name);
+    return { ...loaded, error: null };
+  } catch (err) {
+    // logged once per dataset and error, not on every request
+    if (targetsLoadErrors.get(dataset.name) !== err.message) {
+      targetsLoadErrors.set(dataset.name, err.message);
+      console.warn(`Targets dataset "${dataset.name}" could not be loaded:`, err.message);
+    }
+    return { rows: [], cache: null, error: err.message };
+  }
+}
+
+// One monitoring or evaluation dataset, loaded and filtered on its own (the
+// rows endpoints do not depend on the other dataset being reachable).
+async function loadDataPart(kind, name, { filters, forceRefresh = false } = {}) {
+  const dataset = resolveDataset(name, kind);
+  const loaded = await loadDataset(dataset, { forceRefresh });
+  const schema = getDatasetSchema(dataset);
+  const filtered = { ...filterRows(loaded.rows, filters, schema), scoring: getDatasetScoring(dataset) };
+  return { dataset, schema, rows: loaded.rows, filtered, cache: loaded.cache };
+}
+
+// Resolve datasets, load them through the cache and apply the filters, so
+// every endpoint sees exactly the same rows for the same request.
+async function loadDataContext({ filters, datasets, forceRefresh = false } = {}) {
+  const targetsDatasetDef = resolveDataset(datasets?.targets, "targets");
+
+  const [mon, ev, targetsDataset] = await Promise.all([
+    loadDataPart("monitoring", datasets?.monitoring, { filters, forceRefresh }),
+    loadDataPart("evaluation", datasets?.evaluation, { filters, forceRefresh }),
+    loadTargetsDataset(targetsDatasetDef, { forceRefresh }),
+  ]);
+
+  const { dataset: monDatasetDef, schema: monSchema, filtered: monFiltered } = mon;
+  const { dataset: evalDatasetDef, schema: evalSchema, filtered: evalFiltered } = ev;
+
+  const targetsSchema = getDatasetSchema(targetsDatasetDef);
+  const { project, period, location, match } = filters || {};
+  const targetsFiltered = filterRows(targetsDataset.rows, { project, period, location, match }, targetsSchema);
+
+  return {
+    monitoring: { dataset: monDatasetDef, schema: monSchema, rows: mon.rows, filtered: monFiltered },
+    evaluation: { dataset: evalDatasetDef, schema: evalSchema, rows: ev.rows, filtered: evalFiltered },
+    targets: {
+      dataset: targetsDatasetDef,
+      schema: targetsSchema,
+      rows: targetsDataset.rows,
+      filtered: targetsFiltered,
+      error: targetsDataset.error,
+    },
+    dataAsOf: { monitoring: mon.cache, evaluation: ev.cache, targets: targetsDataset.cache },
+    datasetsUsed: {
+      monitoring: monDatasetDef?.name || null,
+      evaluation: evalDatasetDef?.name || null,
+      targets: targetsDatasetDef?.name || null,
+    },
+    columnIssues: {
+      monitoring: summariseColumnIssues(monFiltered.header, monSchema),
+      evaluation: summariseColumnIssues(evalFiltered.header, evalSchema),
+    },
+    ignoredFilters: { monitoring: monFiltered.ignored, evaluation: evalFiltered.ignored },
+  };
+}
+
+// Dashboard visuals payload for a loaded data context (same as the chat reply)
+function computeDashboardVisuals(ctx) {
+  const mon = ctx.monitoring.filtered;
+  const ev = ctx.evaluation.filtered;
+  const monVisuals = computeVisualsFromMonitoring(mon.header, mon.data, mon.columns, mon.scoring);
+  const evalVisuals = computeVisualsFromEvaluation(ev.header, ev.data, ev.columns, ev.scoring);
+  const combinedVisuals = mergeVisuals(monVisuals, evalVisuals);
+
+  return {
+    monVisuals,
+    evalVisuals,
+    visuals: {
+      kpi_scores: monVisuals.kpi_scores,
+      distribution: monVisuals.distribution,
+      trends: monVisuals.trends,
+      combined_score_percent: combinedVisuals.combined_score_percent,
+      combined_distribution: combinedVisuals.combined_distribution,
+      scoring: { monitoring: mon.scoring, evaluation: ev.scoring },
+      targets: computeTargets(ctx.targets, ctx.monitoring),
+    },
+  };
+}
+
+// Repeat a parameter for several values: ?location=Lae&location=Goroka&rating=budget<=2
+function filtersFromQuery(query) {
+  const filters = {
+    project: filterValues(query?.project),
+    period: filterValues(query?.period),
+    location: filterValues(query?.location),
+  };
+  if (query?.match) filters.match = String(query.match);
+  if (query?.date_from) filters.date_from = String(query.date_from);
+  if (query?.date_to) filters.date_to = String(query.date_to);
+  if (query?.rating) filters.ratings = filterValues(query.rating);
+  return filters;
+}
+
+function datasetsFromQuery(query) {
+  return {
+    monitoring: query?.monitoring_dataset ? String(query.monitoring_dataset) : "",
+    evaluation: query?.evaluation_dataset ? String(query.evaluation_dataset) : "",
+    targets: query?.targets_dataset ? String(query.targets_dataset) : "",
+  };
+}
+
+function isTruthyParam(v) {
+  return ["1", "true", "yes"].includes(safeLower(String(v || "")));
+}
+
+function paginate(items, query) {
+  const pageSize = Math.min(1000, Math.max(1, parseInt(query?.page_size, 10) || 100));
+  const totalPages = Math.max(1, Math.ceil(items.length / pageSize));
+  const page = Math.min(totalPages, Math.max(1, parseInt(query?.page, 10) || 1));
+
+  return {
+    items: items.slice((page - 1) * pageSize, page * pageSize),
+    pagination: { page, page_size: pageSize, total: items.length, total_pages: totalPages },
+  };
+}
+
+function rowToObject(header, r) {
+  const obj = {};
+  header.forEach((h, i) => {
+    obj[h] = r[i] === undefined ? "" : r[i];
+  });
+  return obj;
+}
+
+function distinctValues(rowsList) {
+  const set = new Set();
+  rowsList.forEach(({ data, idx }) => {
+    if (idx === -1 || idx === undefined) return;
+    data.forEach((r) => {
+      const v = cellAt(r, idx);
+      if (v) set.add(v);
+    });
+  });
+  return [...set].sort((a, b) => a.localeCompare(b));
+}
+
+// =====================================================
+// Read-only data API (dashboard charts without an AI call)
+// =====================================================
+function sendDataError(res, route, err) {
+  if (err.status) return res.status(err.status).json({ success: false, error: err.message });
+  console.error(`Backend error in ${route}:`, err);
+  return res.status(500).json({ success: false, error: `Server error in ${route}` });
+}
+
+function rowsEndpoint(kind) {
+  const route = `/api/${kind}`;
+  return async (req, res) => {
+    try {
+      const part = await loadDataPart(kind, req.query.dataset ? String(req.query.dataset) : "", {
+        filters: filtersFromQuery(req.query),
+        forceRefresh: isTruthyParam(req.query.refresh),
+      });
+      const { header, data } = part.filtered;
+      const { items, pagination } = paginate(data, req.query);
+
+      return res.json({
+        success: true,
+        dataset: part.dataset?.name || null,
+        columns: header,
+        rows: items.map((r) => rowToObject(header, r)),
+        pagination,
+        used_filters: filtersFromQuery(req.query),
+        data_as_of: part.cache,
+        column_issues: summariseColumnIssues(header, part.schema),
+        ignored_filters: part.filtered.ignored,
+      });
+    } catch (err) {
+      return sendDataError(res, route, err);
+    }
+  };
+}
+
+app.get("/api/monitoring", rowsEndpoint("monitoring"));
+app.get("/api/evaluation", rowsEndpoint("evaluation"));
+
+app.get("/api/kpis", async (req, res) => {
+  try {
+    const ctx = await loadDataContext({
+      filters: filtersFromQuery(req.query),
+      datasets: datasetsFromQuery(req.query),
+      forceRefresh: isTruthyParam(req.query.refresh),
+    });
+    const { visuals, monVisuals, evalVisuals } = computeDashboardVisuals(ctx);
+
+    return res.json({
+      success: true,
+      visuals,
+      monitoring: monVisuals,
+      evaluation: evalVisuals,
+      used_filters: filtersFromQuery(req.query),
+      monitoring_records_used: ctx.monitoring.filtered.data.length,
+      evaluation_records_used: ctx.evaluation.filtered.data.length,
+      data_as_of: ctx.dataAsOf,
+      datasets_used: ctx.datasetsUsed,
+      column_issues: ctx.columnIssues,
+      ignored_filters: ctx.ignoredFilters,
+    });
+  } catch (err) {
+    return sendDataError(res, "/api/kpis", err);
+  }
+});
+
+// Per-group KPIs: ?by=location, project or period (comma separated for
+// several) and ?kind=monitoring|evaluation (default both).
+app.get("/api/breakdown", async (req, res) => {
+  try {
+    const dimensions = String(req.query.by || "location")
+      .split(",")
+      .map((d) => d.trim())
+      .filter(Boolean);
+    const kind = String(req.query.kind || "all");
+    if (!["monitoring", "evaluation", "all"].includes(kind)) {
+      return res
+        .status(400)
+        .json({ success: false, error: `Unknown kind "${kind}" (use monitoring, evaluation, all).` });
+    }
+    const unknown = dimensions.filter((d) => !BREAKDOWN_DIMENSIONS.includes(d));
+    if (unknown.length) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown dimension(s): ${unknown.join(", ")} (use ${BREAKDOWN_DIMENSIONS.join(", ")}).`,
+      });
+    }
+
+    const ctx = await loadDataContext({
+      filters: filtersFromQuery(req.query),
+      datasets: datasetsFromQuery(req.query),
+      forceRefresh: isTruthyParam(req.query.refresh),
+    });
+
+    const kinds = kind === "all" ? ["monitoring", "evaluation"] : [kind];
+    const breakdowns = kinds.flatMap((k) => dimensions.map((d) => computeBreakdown(k, ctx[k].filtered, d)));
+
+    return res.json({
+      success: true,
+      breakdowns,
+      scoring: { monitoring: ctx.monitoring.filtered.scoring, evaluation: ctx.evaluation.filtered.scoring },
+      used_filters: filtersFromQuery(req.query),
+      monitoring_records_used: ctx.monitoring.filtered.data.length,
+      evaluation_records_used: ctx.evaluation.filtered.data.length,
+      data_as_of: ctx.dataAsOf,
+      datasets_used: ctx.datasetsUsed,
+    });
+  } catch (err) {
+    return sendDataError(res, "/api/breakdown", err);
+  }
+});
+
+// Row-level data-quality report for the filtered rows.
+// ?kind=monitoring|evaluation (default both), ?limit= issues per dataset.
+app.get("/api/data-quality", async (req, res) => {
+  try {
+    const kind = String(req.query.kind || "all");
+    if (!["monitoring", "evaluation", "all"].includes(kind)) {
+      return res
+        .status(400)
+        .json({ success: false, error: `Unknown kind "${kind}" (use monitoring, evaluation, all).` });
+    }
+    const limit = Math.min(5000, Math.max(1, parseInt(req.query.limit, 10) || DATA_QUALITY_MAX_ISSUES));
+
+    const ctx = await loadDataContext({
+      filters: filtersFromQuery(req.query),
+      datasets: datasetsFromQuery(req.query),
+      forceRefresh: isTruthyParam(req.query.refresh),
+    });
+
+    const kinds = kind === "all" ? ["monitoring", "evaluation"] : [kind];
+    const reports = kinds.map((k) => {
+      const report = checkDataQuality(k, ctx[k]);
+      return {
+        ...report,
+        dataset: ctx.datasetsUsed[k],
+        issues: report.issues.slice(0, limit),
+        issues_truncated: report.issues.length > limit,
+      };
+    });
+
+    return res.json({
+      success: true,
+      reports,
+      used_filters: filtersFromQuery(req.query),
+      data_as_of: ctx.dataAsOf,
+      datasets_used: ctx.datasetsUsed,
+    });
+  } catch (err) {
+    return sendDataError(res, "/api/data-quality", err);
+  }
+});
+
+// Targets vs actuals for the filtered projects / periods / locations.
+// ?targets_dataset= picks a targets dataset, ?status=off_track,no_data narrows the list.
+app.get("/api/targets", async (req, res) => {
+  try {
+    const statuses = filterValues(String(req.query.status || "").split(","));
+    const unknown = statuses.filter((st) => !TARGET_STATUSES.includes(st));
+    if (unknown.length) {
+      const error = `Unknown status(es): ${unknown.join(", ")} (use ${TARGET_STATUSES.join(", ")}).`;
+      return res.status(400).json({ success: false, error });
+    }
+
+    const ctx = await loadDataContext({
+      filters: filtersFromQuery(req.query),
+      datasets: datasetsFromQuery(req.query),
+      forceRefresh: isTruthyParam(req.query.refresh),
+    });
+    if (!ctx.targets.dataset) {
+      return res.status(404).json({ success: false, error: "No targets dataset is configured." });
+    }
+
+    const result = computeTargets(ctx.targets, ctx.monitoring);
+    const targets = statuses.length ? result.targets.filter((t) => statuses.includes(t.status)) : result.targets;
+
+    return res.json({
+      success: true,
+      ...result,
+      targets,
+      column_issues: summariseColumnIssues(ctx.targets.filtered.header, ctx.targets.schema),
+      used_filters: filtersFromQuery(req.query),
+      data_as_of: ctx.dataAsOf,
+      datasets_used: ctx.datasetsUsed,
+    });
+  } catch (err) {
+    return sendDataError(res, "/api/targets", err);
+  }
+});
+
+// Keywords, recurring phrases and challenge categories of the filtered
+// monitoring rows. ?top= entries per list (default 10).
+app.get("/api/qualitative", async (req, res) => {
+  try {
+    const top = Math.min(100, Math.max(1, parseInt(req.query.top, 10) || QUALITATIVE_TOP));
+    const ctx = await loadDataContext({
+      filters: filtersFromQuery(req.query),
+      datasets: datasetsFromQuery(req.query),
+      forceRefresh: isTruthyParam(req.query.refresh),
+    });
+
+    return res.json({
+      success: true,
+      ...analyseQualitative(ctx.monitoring, { top }),
+      categories: Object.fromEntries(
+        Object.entries(themeConfig.categories).map(([key, c]) => [key, { label: c.label, keywords: c.keywords }])
+      ),
+      used_filters: filtersFromQuery(req.query),
+      ignored_filters: ctx.ignoredFilters.monitoring,
+      data_as_of: ctx.dataAsOf,
+      datasets_used: ctx.datasetsUsed,
+    });
+  } catch (err) {
+    return sendDataError(res, "/api/qualitative", err);
+  }
+});
+
+// Distinct values across all rows (not just the filtered ones) so the
+// dashboard can populate its dropdowns.
+app.get("/api/filter-options", async (req, res) => {
+  try {
+    const ctx = await loadDataContext({
+      datasets: datasetsFromQuery(req.query),
+      forceRefresh: isTruthyParam(req.query.refresh),
+    });
+    const sources = ["monitoring", "evaluation"].map((kind) => {
+      const { columns } = ctx[kind].filtered;
+      return { data: dataRowsOf(ctx[kind].rows), columns };
+    });
+    const pick = (field) => distinctValues(sources.map((src) => ({ data: src.data, idx: src.columns[field] })));
+
+    return res.json({
+      success: true,
+      projects: pick("project"),
+      periods: pick("period"),
+      locations: pick("location"),
+      rating_fields: [...MONITORING_KPIS, ...EVALUATION_KPIS].map((k) => k.field).concat("beneficiaries"),
+      data_as_of: ctx.dataAsOf,
+      datasets_used: ctx.datasetsUsed,
+    });
+  } catch (err) {
+    return sendDataError(res, "/api/filter-options", err);
+  }
+});
+
+// =====================================================
+// Safe parse JSON from AI response
+// =====================================================
+function safeParseAiJson(text) {
+  if (!text) return null;
+
+  let t = String(text).trim();
+  t = t.replace(/^```json\s*/i, "");
+  t = t.replace(/^```\s*/i, "");
+  t = t.replace(/```$/i, "").trim();
+
+  try {
+    return JSON.parse(t);
+  } catch {
+    const match = t.match(/\{[\s\S]*\}$/);
+    if (match) {
+      try {
+        return JSON.parse(match[0]);
+      } catch {
+        return null;
+      }
+    }
+    return null;
+  }
+}
+
+// =====================================================
+// AI JSON validation (subset of JSON Schema used by promel_ai_response)
+// =====================================================
+// Supports type, properties, required, additionalProperties: false, items,
+// minItems/maxItems and minLength. Returns a list of { path, message }.
+function validateJsonSchema(value, schema, at = "", errors = []) {
+  const where = at || "(root)";
+
+  switch (schema?.type) {
+    case "object": {
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        errors.push({ path: where, message: "must be an object" });
+        break;
+      }
+      const props = schema.properties || {};
+      (schema.required || []).forEach((key) => {
+        if (!(key in value)) errors.push({ path: at ? `${at}.${key}` : key, message: "is required" });
+      });
+      if (schema.additionalProperties === false) {
+        Object.keys(value)
+          .filter((key) => !(key in props))
+          .forEach((key) => errors.push({ path: at ? `${at}.${key}` : key, message: "is not allowed" }));
+      }
+      Object.entries(props).forEach(([key, sub]) => {
+        if (key in value) validateJsonSchema(value[key], sub, at ? `${at}.${key}` : key, errors);
+      });
+      break;
+    }
+    case "array":
+      if (!Array.isArray(value)) {
+        errors.push({ path: where, message: "must be an array" });
+        break;
+      }
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ path: where, message: `must have at least ${schema.minItems} items (got ${value.length})` });
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push({ path: where, message: `must have at most ${schema.maxItems} items (got ${value.length})` });
+      }
+      if (schema.items) value.forEach((item, i) => validateJsonSchema(item, schema.items, `${where}[${i}]`, errors));
+      break;
+    case "string":
+      if (typeof value !== "string") errors.push({ path: where, message: "must be a string" });
+      else if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        errors.push({ path: where, message: "must not be empty" });
+      }
+      break;
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        errors.push({ path: where, message: "must be a number" });
+      }
+      break;
+    default:
+      break;
+  }
+
+  return errors;
+}
+
+// Parse + validate one model answer against RESPONSE_VALIDATION_SCHEMA.
+function checkAiAnswer(text) {
+  const json = safeParseAiJson(text);
+  if (!json || typeof json !== "object") {
+    return { json: null, valid: false, errors: [{ path: "(root)", message: "response is not valid JSON" }] };
+  }
+  const errors = validateJsonSchema(json, RESPONSE_VALIDATION_SCHEMA);
+  return { json, valid: !errors.length, errors };
+}
+
+// =====================================================
+// Extract output text robustly (IMPORTANT FIX)
+// =====================================================
+function extractResponseText(data) {
+  if (!data) return "";
+  if (typeof data.output_text === "string" && data.output_text.trim()) return data.output_text;
+
+  // Fallback: try to reconstruct from output[].content[]
+  const chunks = [];
+  const out = Array.isArray(data.output) ? data.output : [];
+  for (const item of out) {
+    const content = Array.isArray(item?.content) ? item.content : [];
+    for (const c of content) {
+      if (typeof c?.text === "string") chunks.push(c.text);
+      // Some variants use nested objects; keep it tolerant
+      if (typeof c?.content === "string") chunks.push(c.content);
+    }
+  }
+  return chunks.join("\n").trim();
+}
+
+// =====================================================
+// LLM providers (OpenAI Responses, OpenAI-compatible chat, mock)
+// =====================================================
+// Every provider exposes the same shape:
+//   configError()                         -> string | null
+//   complete({ messages, schema, signal, context }) -> { text, usage }
+//   stream({ messages, schema, signal, context })   -> async iterator of
+//     { delta } chunks, ending with { done: true, text, usage }
+// usage is normalised to { input_tokens, output_tokens, total_tokens }.
+// Selected with LLM_PROVIDER = openai | openai_compatible | mock.
+function providerError(message, status = 502) {
+  const err = new Error(message);
+  err.status = status;
+  err.isProviderError = true;
+  return err;
+}
+
+async function readProviderError(response, providerName) {
+  let errorBody = null;
+  try {
+    errorBody = await response.json();
+  } catch {
+    const text = await response.text().catch(() => "");
+    errorBody = { raw: text };
+  }
+
+  console.error(`${providerName} API error:`, response.status, JSON.stringify(errorBody, null, 2));
+  return providerError(
+    errorBody?.error?.message || `${providerName} API error (status ${response.status})`,
+    response.status
+  );
+}
+
+function normaliseUsage(usage) {
+  if (!usage) return null;
+  const input = Number(usage.input_tokens ?? usage.prompt_tokens ?? 0) || 0;
+  const output = Number(usage.output_tokens ?? usage.completion_tokens ?? 0) || 0;
+  return { input_tokens: input, output_tokens: output, total_tokens: Number(usage.total_tokens) || input + output };
+}
+
+// Parse an SSE byte stream into { event, data } objects.
+async function* readSseEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, "\n");
+
+    let sep;
+    while ((sep = buffer.indexOf("\n\n")) !== -1) {
+      const block = buffer.slice(0, sep);
+      buffer = buffer.slice(sep + 2);
+
+      let event = "message";
+      const dataLines = [];
+      block.split("\n").forEach((line) => {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) dataLines.push(line.slice(5).trimStart());
+      });
+      if (!dataLines.length) continue;
+
+      const raw = dataLines.join("\n");
+      if (raw === "[DONE]") return;
+      try {
+        yield { event, data: JSON.parse(raw) };
+      } catch {
+        // ignore keep-alives / malformed frames
+      }
+    }
+  }
+}
+
+function createOpenAIResponsesProvider() {
+  const baseUrl = (process.env.OPENAI_BASE_URL || "https://api.openai.com/v1").replace(/\/+$/, "");
+  const model = process.env.OPENAI_MODEL || "gpt-4o-mini";
+
+  const post = ({ messages, schema, signal }, stream) =>
+    fetch(`${baseUrl}/responses`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
+      },
+      body: JSON.stringify({
+        model,
+        temperature: 0.2,
+        input: messages,
+
+        // ✅ FIX: Correct Structured Outputs format for Responses API
+        text: {
+          format: {
+            type: "json_schema",
+            name: schema.name,
+            strict: schema.strict,
+            schema: schema.schema,
+          },
+        },
+        ...(stream ? { stream: true } : {}),
+      }),
+      signal,
+    });
+
+  return {
+    name: "openai",
+    model,
+    configError: () => (process.env.OPENAI_API_KEY ? null : "OPENAI_API_KEY is not set on the server."),
+
+    async complete(req) {
+      const response = await post(req, false);
+      if (!response.ok) throw await readProviderError(response, "OpenAI");
+
+      const data = await response.json();
+      // ✅ FIX: Extract robustly
+      return { text: extractResponseText(data), usage: normaliseUsage(data.usage) };
+    },
+
+    async *stream(req) {
+      const response = await post(req, true);
+      if (!response.ok) throw await readProviderError(response, "OpenAI");
+
+      let text = "";
+      let completed = null;
+      for await (const { data } of readSseEvents(response.body)) {
+        if (data?.type === "response.output_text.delta" && typeof data.delta === "string") {
+          text += data.delta;
+          yield { delta: data.delta };
+        } else if (data?.type === "response.completed") {
+          completed = data.response;
+        } else if (data?.type === "response.failed" || data?.type === "error") {
+          throw providerError(data?.response?.error?.message || data?.message || "OpenAI stream failed.");
+        }
+      }
+
+      yield {
+        done: true,
+        text: (completed && extractResponseText(completed)) || text,
+        usage: normaliseUsage(completed?.usage),
+      };
+    },
+  };
+}
+
+// Ollama, llama.cpp server, vLLM, LM Studio... anything exposing
+// POST {LLM_BASE_URL}/chat/completions. LLM_JSON_MODE picks how the JSON
+// schema is requested: json_schema (default), json_object or none.
+function createOpenAICompatibleProvider() {
+  const baseUrl = (process.env.LLM_BASE_URL || "http://localhost:11434/v1").replace(/\/+$/, "");
+  const model = process.env.LLM_MODEL || "llama3.1";
+  const jsonMode = process.env.LLM_JSON_MODE || "json_schema";
+
+  const responseFormat = (schema) => {
+    if (jsonMode === "json_object") return { type: "json_object" };
+    if (jsonMode === "none") return undefined;
+    return { type: "json_schema", json_schema: { name: schema.name, strict: schema.strict, schema: schema.schema } };
+  };
+
+  const post = ({ messages, schema, signal }, stream) =>
+    fetch(`${baseUrl}/chat/completions`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(process.env.LLM_API_KEY ? { Authorization: `Bearer ${process.env.LLM_API_KEY}` } : {}),
+      },
+      body: JSON.stringify({
+        model,
+        temperature: 0.2,
+        messages,
+        response_format: responseFormat(schema),
+        ...(stream ? { stream: true, stream_options: { include_usage: true } } : {}),
+      }),
+      signal,
+    });
+
+  return {
+    name: "openai_compatible",
+    model,
+    configError: () => null,
+
+    async complete(req) {
+      const response = await post(req, false);
+      if (!response.ok) throw await readProviderError(response, "LLM");
+
+      const data = await response.json();
+      return { text: String(data?.choices?.[0]?.message?.content || ""), usage: normaliseUsage(data.usage) };
+    },
+
+    async *stream(req) {
+      const response = await post(req, true);
+      if (!response.ok) throw await readProviderError(response, "LLM");
+
+      let text = "";
+      let usage = null;
+      for await (const { data } of readSseEvents(response.body)) {
+        if (data?.error) throw providerError(data.error.message || "LLM stream failed.");
+        const delta = data?.choices?.[0]?.delta?.content;
+        if (typeof delta === "string" && delta) {
+          text += delta;
+          yield { delta };
+        }
+        if (data?.usage) usage = normaliseUsage(data.usage);
+      }
+
+      yield { done: true, text, usage };
+    },
+  };
+}
+
+// Deterministic offline provider: answers from the backend-computed visuals
+// so the whole pipeline can be exercised without network or credits.
+function buildMockAnswer(context) {
+  const intent = context?.intent || "HOW_TO";
+  const monScores = context?.monVisuals?.kpi_scores || [];
+  const records = context?.monFiltered?.data?.length || 0;
+  const combined = context?.combinedVisuals?.combined_score_percent || 0;
+
+  const topRows = (context?.retrieval?.rows || []).slice(0, 2).map((r) => r.id);
+  const noSources = { rows: [], metrics: [] };
+
+  const scoreFindings = MONITORING_KPIS.map((k) => ({ k, score: monScores.find((s) => s.label === k.label) }))
+    .filter(({ score }) => score)
+    .map(({ k, score }) => ({
+      text: `${score.label} performance is at ${score.percent}% across ${records} monitoring records.`,
+      sources: { rows: [], metrics: [`monitoring.${k.field}`] },
+    }));
+  const cited = [
+    { text: `Combined performance score is ${combined}%.`, sources: { rows: topRows, metrics: ["combined_score"] } },
+    ...scoreFindings,
+    ...FALLBACK_FINDINGS.map((text) => ({ text, sources: noSources })),
+  ].slice(0, 5);
+  const findings = cited.map((f) => f.text);
+
+  const recommendations = FALLBACK_RECOMMENDATIONS.slice(0, 3);
+
+  return {
+    report_title: `ProMEL ${intent} (mock response)`,
+    report_markdown: [
+      `# ProMEL ${intent} (mock response)`,
+      "",
+      `This is a deterministic mock answer to: "${String(context?.message || "").slice(0, 200)}"`,
+      "",
+      "## Key Findings",
+      ...findings.map((f) => `- ${f}`),
+      "",
+      "## Recommendations",
+      ...recommendations.map((r) => `- ${r}`),
+    ].join("\n"),
+    key_findings: findings,
+    recommendations,
+    key_finding_sources: cited.map((f) => f.sources),
+    recommendation_sources: recommendations.map(() => noSources),
+    visuals: {
+      kpi_scores: schemaKpiScores(monScores),
+      distribution: context?.monVisuals?.distribution || { good: 0, watch: 0, poor: 0 },
+      combined_score_percent: combined,
+      combined_distribution: context?.combinedVisuals?.combined_distribution || { good: 0, watch: 0, poor: 0 },
+    },
+  };
+}
+
+// Intent fallback: the rules' best guess (or the default intent).
+function mockIntentAnswer(context) {
+  const best = context?.rules?.intents?.[0];
+  return { intent: best?.intent || intentConfig.defaultIntent, confidence: best ? best.share : 0.5 };
+}
+
+function createMockProvider() {
+  const run = ({ messages, schema, context }) => {
+    const answer = schema?.name === INTENT_JSON_SCHEMA.name ? mockIntentAnswer(context) : buildMockAnswer(context);
+    const text = JSON.stringify(answer);
+    const input = estimateTokens(messages.map((m) => m.content).join("\n"));
+    const output = estimateTokens(text);
+    return { text, usage: { input_tokens: input, output_tokens: output, total_tokens: input + output } };
+  };
+
+  return {
+    name: "mock",
+    model: "mock",
+    configError: () => null,
+
+    async complete(req) {
+      return run(req);
+    },
+
+    async *stream(req) {
+      const result = run(req);
+      for (let i = 0; i < result.text.length; i += 40) {
+        if (req.signal?.aborted) throw providerError("Request aborted.", 499);
+        yield { delta: result.text.slice(i, i + 40) };
+      }
+      yield { done: true, ...result };
+    },
   };
 }
 
+const LLM_PROVIDERS = {
+  openai: createOpenAIResponsesProvider,
+  openai_compatible: createOpenAICompatibleProvider,
+  mock: createMockProvider,
+};
+
+function createLLMProvider(name) {
+  const key = String(name || "openai").trim().toLowerCase();
+  const factory = LLM_PROVIDERS[key];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}" (use ${Object.keys(LLM_PROVIDERS).join(", ")}).`);
+  }
+  return factory();
+}
+
+const llmProvider = createLLMProvider(process.env.LLM_PROVIDER);
+
 // =====================================================
-// Safe parse JSON from AI response
+// Export helpers
 // =====================================================
-function safeParseAiJson(text) {
-  if (!text) return null;
+function escapeHtml(str) {
+  return String(str || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
 
-  let t = String(text).trim();
-  t = t.replace(/^```json\s*/i, "");
-  t = t.replace(/^```\s*/i, "");
-  t = t.replace(/```$/i, "").trim();
+// =====================================================
+// Markdown pipeline (shared by HTML preview, .docx and PDF)
+// =====================================================
+// One CommonMark + GFM parser (tables, ordered/nested lists, links, code,
+// blockquotes, rules). Raw HTML in the model output is shown as text and
+// only http(s)/mailto/relative links survive, so the HTML is safe to embed.
+const markdown = new Marked({ gfm: true, breaks: false });
+
+function safeLinkUrl(href) {
+  const url = String(href || "").replace(/[\u0000-\u001F\u007F\s]+/g, "");
+  if (!url) return "";
+  if (/^(https?:|mailto:)/i.test(url)) return url;
+  // relative links and anchors (no scheme before the first / ? #)
+  if (!/^[^/?#]*:/.test(url) && !url.startsWith("//")) return url;
+  return "";
+}
+
+markdown.use({
+  renderer: {
+    html({ text }) {
+      return escapeHtml(text);
+    },
+    link({ href, title, tokens }) {
+      const label = this.parser.parseInline(tokens);
+      const url = safeLinkUrl(href);
+      if (!url) return label;
+      const titleAttr = title ? ` title="${escapeHtml(title)}"` : "";
+      return `<a href="${escapeHtml(url)}"${titleAttr} rel="noopener noreferrer">${label}</a>`;
+    },
+    image({ href, title, text }) {
+      const url = safeLinkUrl(href);
+      if (!url) return escapeHtml(text);
+      const titleAttr = title ? ` title="${escapeHtml(title)}"` : "";
+      return `<img src="${escapeHtml(url)}" alt="${escapeHtml(text)}"${titleAttr} />`;
+    },
+  },
+});
 
+function markdownTokens(md) {
+  return markdown.lexer(String(md || "").replace(/\r\n/g, "\n"));
+}
+
+function markdownToHtml(md) {
+  return markdown.parser(markdownTokens(md));
+}
+
+function exportTitle(title) {
+  return (title || "ProMEL_AI_Report").toString().trim() || "ProMEL_AI_Report";
+}
+
+function exportFileName(title, ext) {
+  return `${exportTitle(title).replace(/[^a-z0-9_\-]+/gi, "_")}.${ext}`;
+}
+
+function exportFilterLine(filters) {
+  return describeFilters(filters)
+    .map(([label, value]) => `${label}: ${value}`)
+    .join(" | ");
+}
+
+// Exports use the visuals sent by the dashboard. Without them the KPI summary
+// is recomputed from the data with the same filters the chat would apply (no
+// filters means all rows); if the data cannot be loaded the document is built
+// without it.
+async function resolveExportVisuals({ filters, visuals, datasets }) {
+  compileFilters(filters); // invalid filters are a 400, not a silent "All"
+  if (visuals) return visuals;
   try {
-    return JSON.parse(t);
-  } catch {
-    const match = t.match(/\{[\s\S]*\}$/);
-    if (match) {
-      try {
-        return JSON.parse(match[0]);
-      } catch {
-        return null;
+    return computeDashboardVisuals(await loadDataContext({ filters: filters || {}, datasets })).visuals;
+  } catch (err) {
+    if (err.status) throw err;
+    console.warn("Export: could not load data for visuals:", err.message);
+    return null;
+  }
+}
+
+const BAND_COLORS = { good: "2E7D32", watch: "F9A825", poor: "C62828" };
+
+// Traffic-light colour for a 0–100 score, using the dataset's bands when the
+// visuals carry them (default: 80% and above good, 40% and below poor)
+function scoreColor(percent, bands = DEFAULT_SCORING.bands) {
+  return BAND_COLORS[ratingBand(percent, bands)];
+}
+
+function exportBands(visuals) {
+  const bands = visuals?.scoring?.monitoring?.bands;
+  return Number.isFinite(bands?.good) && Number.isFinite(bands?.poor) ? bands : DEFAULT_SCORING.bands;
+}
+
+function decodeEntities(str) {
+  return String(str || "")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// =====================================================
+// HTML preview endpoint
+// =====================================================
+// Same renderer as the exports, so the dashboard preview matches the files.
+app.post("/api/preview/html", (req, res) => {
+  const { content } = req.body || {};
+  if (!content) {
+    return res.status(400).json({ success: false, error: 'Missing "content" to render.' });
+  }
+  return res.json({ success: true, html: markdownToHtml(content) });
+});
+
+// =====================================================
+// Word (.docx) builder — markdown tokens -> Office Open XML
+// =====================================================
+const DOCX_BRAND = "003366";
+const DOCX_FONT = "Arial";
+const DOCX_MONO = "Consolas";
+const DOCX_HEADINGS = [
+  HeadingLevel.HEADING_1,
+  HeadingLevel.HEADING_2,
+  HeadingLevel.HEADING_3,
+  HeadingLevel.HEADING_4,
+  HeadingLevel.HEADING_5,
+  HeadingLevel.HEADING_6,
+];
+
+function docxListLevels(format, textFor) {
+  return [0, 1, 2, 3, 4].map((level) => ({
+    level,
+    format,
+    text: textFor(level),
+    alignment: AlignmentType.START,
+    style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } },
+  }));
+}
+
+// Inline markdown tokens -> TextRun / ExternalHyperlink children
+function docxInline(tokens, style = {}) {
+  const out = [];
+  (tokens || []).forEach((t) => {
+    switch (t.type) {
+      case "strong":
+        out.push(...docxInline(t.tokens, { ...style, bold: true }));
+        break;
+      case "em":
+        out.push(...docxInline(t.tokens, { ...style, italics: true }));
+        break;
+      case "del":
+        out.push(...docxInline(t.tokens, { ...style, strike: true }));
+        break;
+      case "codespan":
+        out.push(new TextRun({ ...style, text: decodeEntities(t.text), font: DOCX_MONO }));
+        break;
+      case "br":
+        out.push(new TextRun({ ...style, text: "", break: 1 }));
+        break;
+      case "link":
+        if (/^(https?:|mailto:)/i.test(safeLinkUrl(t.href))) {
+          out.push(
+            new ExternalHyperlink({
+              link: safeLinkUrl(t.href),
+              children: docxInline(t.tokens, { ...style, color: "0563C1", underline: {} }),
+            })
+          );
+        } else {
+          out.push(...docxInline(t.tokens, style));
+        }
+        break;
+      case "image":
+        out.push(new TextRun({ ...style, text: `[${t.text || "image"}]`, italics: true }));
+        break;
+      case "text":
+        if (t.tokens?.length) out.push(...docxInline(t.tokens, style));
+        else out.push(new TextRun({ ...style, text: decodeEntities(t.text) }));
+        break;
+      default:
+        // html, escape, etc: keep the visible text only
+        out.push(new TextRun({ ...style, text: decodeEntities(t.text || "").replace(/<[^>]*>/g, "") }));
+    }
+  });
+  return out;
+}
+
+function docxTable(headerCells, rows, { widths } = {}) {
+  const cell = (content, { header = false, fill, align } = {}) =>
+    new TableCell({
+      shading: fill || header ? { type: ShadingType.CLEAR, fill: fill || "DCE6F1", color: "auto" } : undefined,
+      margins: { top: 60, bottom: 60, left: 100, right: 100 },
+      children: [
+        new Paragraph({
+          alignment: align,
+          children: Array.isArray(content)
+            ? content
+            : [new TextRun({ text: String(content ?? ""), bold: header })],
+        }),
+      ],
+    });
+
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    columnWidths: widths,
+    rows: [
+      new TableRow({ tableHeader: true, children: headerCells.map((c) => cell(c, { header: true })) }),
+      ...rows.map((r) => new TableRow({ children: r.map((c) => (c instanceof TableCell ? c : cell(c))) })),
+    ],
+  });
+}
+
+// Block markdown tokens -> Paragraph / Table list
+function docxBlocks(tokens, ctx, depth = 0) {
+  const out = [];
+  const align = { left: AlignmentType.LEFT, center: AlignmentType.CENTER, right: AlignmentType.RIGHT };
+
+  (tokens || []).forEach((t) => {
+    switch (t.type) {
+      case "heading":
+        out.push(
+          new Paragraph({ heading: DOCX_HEADINGS[Math.min(5, t.depth - 1)], children: docxInline(t.tokens) })
+        );
+        break;
+      case "paragraph":
+        out.push(new Paragraph({ children: docxInline(t.tokens), spacing: { after: 120 } }));
+        break;
+      case "text":
+        out.push(new Paragraph({ children: docxInline(t.tokens || [t]) }));
+        break;
+      case "list": {
+        const reference = t.ordered ? "promel-numbers" : "promel-bullets";
+        const instance = t.ordered ? ++ctx.listInstance : 0;
+        t.items.forEach((item) => {
+          let first = true;
+          (item.tokens || []).forEach((child) => {
+            if (child.type === "list") {
+              out.push(...docxBlocks([child], ctx, depth + 1));
+              return;
+            }
+            const inline = child.type === "text" || child.type === "paragraph" ? child.tokens || [child] : [child];
+            const prefix = item.task ? [new TextRun({ text: item.checked ? "☑ " : "☐ " })] : [];
+            out.push(
+              new Paragraph({
+                numbering: first ? { reference, level: Math.min(depth, 4), instance } : undefined,
+                indent: first ? undefined : { left: 720 * (Math.min(depth, 4) + 1) },
+                children: [...prefix, ...docxInline(inline)],
+              })
+            );
+            first = false;
+          });
+        });
+        break;
       }
+      case "table":
+        out.push(
+          docxTable(
+            t.header.map((h) => docxInline(h.tokens, { bold: true })),
+            t.rows.map((row) =>
+              row.map(
+                (c, i) =>
+                  new TableCell({
+                    margins: { top: 60, bottom: 60, left: 100, right: 100 },
+                    children: [new Paragraph({ alignment: align[t.align?.[i]], children: docxInline(c.tokens) })],
+                  })
+              )
+            )
+          ),
+          new Paragraph({ children: [] })
+        );
+        break;
+      case "blockquote":
+        docxBlocks(t.tokens, ctx, depth).forEach((p) => out.push(p));
+        break;
+      case "code":
+        String(t.text || "")
+          .split("\n")
+          .forEach((line) =>
+            out.push(
+              new Paragraph({
+                shading: { type: ShadingType.CLEAR, fill: "F2F2F2", color: "auto" },
+                children: [new TextRun({ text: line || " ", font: DOCX_MONO, size: 18 })],
+              })
+            )
+          );
+        break;
+      case "hr":
+        out.push(
+          new Paragraph({
+            border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: "999999", space: 1 } },
+            children: [],
+          })
+        );
+        break;
+      case "html":
+        if (t.text?.trim()) out.push(new Paragraph({ children: docxInline([t]) }));
+        break;
+      default:
+        break; // space, def
     }
-    return null;
+  });
+  return out;
+}
+
+// KPI scores + distribution as tables (text bars coloured by traffic light)
+function docxVisuals(visuals) {
+  const kpis = Array.isArray(visuals?.kpi_scores) ? visuals.kpi_scores : [];
+  const dist = visuals?.distribution || visuals?.combined_distribution;
+  if (!kpis.length && !dist) return [];
+
+  const bands = exportBands(visuals);
+  const out = [new Paragraph({ heading: HeadingLevel.HEADING_2, children: [new TextRun("Performance Summary")] })];
+
+  if (typeof visuals?.combined_score_percent === "number") {
+    out.push(
+      new Paragraph({
+        spacing: { after: 120 },
+        children: [
+          new TextRun({ text: "Combined score: ", bold: true }),
+          new TextRun({
+            text: `${visuals.combined_score_percent}%`,
+            bold: true,
+            color: scoreColor(visuals.combined_score_percent, bands),
+          }),
+        ],
+      })
+    );
+  }
+
+  if (kpis.length) {
+    out.push(
+      docxTable(
+        ["KPI", "Score", ""],
+        kpis.map((k) => {
+          const pct = Math.max(0, Math.min(100, Number(k.percent) || 0));
+          return [
+            String(k.label || ""),
+            `${pct}%`,
+            [new TextRun({ text: "█".repeat(Math.round(pct / 5)) || " ", color: scoreColor(pct, bands) })],
+          ];
+        }),
+        { widths: [3000, 1200, 4800] }
+      ),
+      new Paragraph({ children: [] })
+    );
+  }
+
+  if (dist) {
+    const total = (dist.good || 0) + (dist.watch || 0) + (dist.poor || 0);
+    const share = (n) => (total ? `${Math.round(((n || 0) / total) * 100)}%` : "0%");
+    out.push(
+      docxTable(
+        ["Status", "Records", "Share"],
+        [
+          [[new TextRun({ text: "Good", bold: true, color: "2E7D32" })], String(dist.good || 0), share(dist.good)],
+          [[new TextRun({ text: "Watch", bold: true, color: "F9A825" })], String(dist.watch || 0), share(dist.watch)],
+          [[new TextRun({ text: "Poor", bold: true, color: "C62828" })], String(dist.poor || 0), share(dist.poor)],
+        ],
+        { widths: [3000, 3000, 3000] }
+      ),
+      new Paragraph({ children: [] })
+    );
   }
+
+  return out;
+}
+
+async function buildDocx({ title, content, filters, visuals }) {
+  const safeTitle = exportTitle(title);
+  const ctx = { listInstance: 0 };
+
+  const meta = docxTable(
+    ["Field", "Value"],
+    [
+      ...describeFilters(filters),
+      ["Generated", new Date().toLocaleString()],
+    ],
+    { widths: [3000, 6000] }
+  );
+
+  const doc = new Document({
+    creator: "ProMEL AI",
+    title: safeTitle,
+    description: exportFilterLine(filters),
+    styles: {
+      default: {
+        document: { run: { font: DOCX_FONT, size: 22 } },
+        heading1: {
+          run: { font: DOCX_FONT, size: 32, bold: true, color: DOCX_BRAND },
+          paragraph: { spacing: { before: 240, after: 120 } },
+        },
+        heading2: {
+          run: { font: DOCX_FONT, size: 28, bold: true, color: DOCX_BRAND },
+          paragraph: { spacing: { before: 240, after: 120 } },
+        },
+        heading3: {
+          run: { font: DOCX_FONT, size: 24, bold: true, color: DOCX_BRAND },
+          paragraph: { spacing: { before: 200, after: 80 } },
+        },
+        title: { run: { font: DOCX_FONT, size: 40, bold: true, color: DOCX_BRAND } },
+      },
+    },
+    numbering: {
+      config: [
+        {
+          reference: "promel-bullets",
+          levels: docxListLevels(LevelFormat.BULLET, (level) => ["•", "◦", "▪", "•", "◦"][level]),
+        },
+        {
+          reference: "promel-numbers",
+          levels: docxListLevels(LevelFormat.DECIMAL, (level) => `%${level + 1}.`),
+        },
+      ],
+    },
+    sections: [
+      {
+        children: [
+          new Paragraph({ heading: HeadingLevel.TITLE, children: [new TextRun(safeTitle)] }),
+          meta,
+          new Paragraph({ children: [] }),
+          ...docxVisuals(visuals),
+          ...docxBlocks(markdownTokens(content), ctx),
+        ],
+      },
+    ],
+  });
+
+  return Packer.toBuffer(doc);
 }
 
 // =====================================================
-// Extract output text robustly (IMPORTANT FIX)
+// Export endpoint - Word .docx
 // =====================================================
-function extractResponseText(data) {
-  if (!data) return "";
-  if (typeof data.output_text === "string" && data.output_text.trim()) return data.output_text;
+app.post("/api/export/word", async (req, res) => {
+  try {
+    const { title, content, filters } = req.body || {};
 
-  // Fallback: try to reconstruct from output[].content[]
-  const chunks = [];
-  const out = Array.isArray(data.output) ? data.output : [];
-  for (const item of out) {
-    const content = Array.isArray(item?.content) ? item.content : [];
-    for (const c of content) {
-      if (typeof c?.text === "string") chunks.push(c.text);
-      // Some variants use nested objects; keep it tolerant
-      if (typeof c?.content === "string") chunks.push(c.content);
+    if (!content) {
+      return res.status(400).json({ success: false, error: 'Missing "content" to export.' });
     }
+
+    const visuals = await resolveExportVisuals(req.body);
+    const buffer = await buildDocx({ title, content, filters, visuals });
+
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.wordprocessingml.document");
+    res.setHeader("Content-Disposition", `attachment; filename="${exportFileName(title, "docx")}"`);
+    return res.send(buffer);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ success: false, error: err.message });
+    console.error("Export error /api/export/word:", err);
+    return res.status(500).json({ success: false, error: "Failed to export Word document." });
   }
-  return chunks.join("\n").trim();
+});
+
+// =====================================================
+// PDF builder — markdown tokens -> pdfkit (no headless browser)
+// =====================================================
+const PDF_MARGIN = 56;
+const PDF_BRAND = "#003366";
+const PDF_TEXT = "#222222";
+const PDF_BODY_SIZE = 10.5;
+const PDF_HEADING_SIZES = [20, 16, 13.5, 12, 11, 11];
+
+// The built-in PDF fonts only cover WinAnsi; swap anything else for "?"
+// rather than printing garbage.
+function pdfSafeText(str) {
+  return String(str || "")
+    .replace(/\t/g, "    ")
+    .replace(/[^\n\x20-\x7E\xA0-\xFF\u2013\u2014\u2018\u2019\u201C\u201D\u2022\u2026\u20AC]/gu, "?");
+}
+
+function pdfFont({ bold, italics, mono } = {}) {
+  if (mono) return bold ? "Courier-Bold" : "Courier";
+  if (bold && italics) return "Helvetica-BoldOblique";
+  if (bold) return "Helvetica-Bold";
+  if (italics) return "Helvetica-Oblique";
+  return "Helvetica";
+}
+
+// Inline markdown tokens -> flat list of styled text segments
+function pdfSegments(tokens, style = {}) {
+  const out = [];
+  (tokens || []).forEach((t) => {
+    switch (t.type) {
+      case "strong":
+        out.push(...pdfSegments(t.tokens, { ...style, bold: true }));
+        break;
+      case "em":
+        out.push(...pdfSegments(t.tokens, { ...style, italics: true }));
+        break;
+      case "del":
+        out.push(...pdfSegments(t.tokens, { ...style, strike: true }));
+        break;
+      case "codespan":
+        out.push({ ...style, mono: true, text: decodeEntities(t.text) });
+        break;
+      case "br":
+        out.push({ ...style, text: "\n" });
+        break;
+      case "link":
+        out.push(
+          ...pdfSegments(
+            t.tokens,
+            /^(https?:|mailto:)/i.test(safeLinkUrl(t.href)) ? { ...style, link: safeLinkUrl(t.href) } : style
+          )
+        );
+        break;
+      case "image":
+        out.push({ ...style, italics: true, text: `[${t.text || "image"}]` });
+        break;
+      case "text":
+        if (t.tokens?.length) out.push(...pdfSegments(t.tokens, style));
+        else out.push({ ...style, text: decodeEntities(t.text) });
+        break;
+      default:
+        out.push({ ...style, text: decodeEntities(t.text || "").replace(/<[^>]*>/g, "") });
+    }
+  });
+  return out.filter((seg) => seg.text);
+}
+
+function pdfPlainText(tokens) {
+  return pdfSegments(tokens)
+    .map((seg) => seg.text)
+    .join("");
+}
+
+function pdfEnsureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+}
+
+function pdfWriteSegments(doc, segments, { x, width, size = PDF_BODY_SIZE, color = PDF_TEXT, baseStyle = {} }) {
+  const segs = segments.length ? segments : [{ text: " " }];
+  const y = doc.y;
+  segs.forEach((seg, i) => {
+    const style = { ...baseStyle, ...seg };
+    doc
+      .font(pdfFont(style))
+      .fontSize(style.mono ? size - 1 : size)
+      .fillColor(style.link ? "#0563C1" : color);
+    const opts = {
+      continued: i < segs.length - 1,
+      link: style.link || null,
+      underline: Boolean(style.link),
+      strike: Boolean(style.strike),
+      lineGap: 2,
+    };
+    if (i === 0) doc.text(pdfSafeText(style.text), x, y, { ...opts, width });
+    else doc.text(pdfSafeText(style.text), opts);
+  });
+}
+
+function pdfTable(doc, headerCells, rows, { x, width }) {
+  const cols = Math.max(1, headerCells.length);
+  const colW = width / cols;
+  const pad = 4;
+
+  const rowHeight = (cells, font) => {
+    doc.font(font).fontSize(9);
+    const heights = cells.map((c) => doc.heightOfString(pdfSafeText(c) || " ", { width: colW - pad * 2 }));
+    return Math.max(...heights) + pad * 2;
+  };
+
+  const drawRow = (cells, { header = false } = {}) => {
+    const font = header ? "Helvetica-Bold" : "Helvetica";
+    const h = rowHeight(cells, font);
+    if (doc.y + h > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      if (!header) drawRow(headerCells, { header: true });
+    }
+    const y = doc.y;
+    cells.forEach((c, i) => {
+      const cx = x + i * colW;
+      if (header) doc.rect(cx, y, colW, h).fill("#DCE6F1");
+      doc.rect(cx, y, colW, h).lineWidth(0.5).stroke("#999999");
+      doc
+        .font(font)
+        .fontSize(9)
+        .fillColor(PDF_TEXT)
+        .text(pdfSafeText(c), cx + pad, y + pad, { width: colW - pad * 2 });
+    });
+    doc.x = x;
+    doc.y = y + h;
+  };
+
+  drawRow(headerCells, { header: true });
+  rows.forEach((r) => drawRow(headerCells.map((_, i) => r[i] ?? "")));
+  doc.moveDown(0.6);
+}
+
+function pdfBlocks(doc, tokens, { x, width, depth = 0, color = PDF_TEXT, baseStyle = {} }) {
+  (tokens || []).forEach((t) => {
+    switch (t.type) {
+      case "heading": {
+        const size = PDF_HEADING_SIZES[Math.min(5, t.depth - 1)];
+        doc.moveDown(0.4);
+        pdfEnsureSpace(doc, size * 3);
+        pdfWriteSegments(doc, pdfSegments(t.tokens), { x, width, size, color: PDF_BRAND, baseStyle: { bold: true } });
+        doc.moveDown(0.3);
+        break;
+      }
+      case "paragraph":
+      case "text":
+        pdfWriteSegments(doc, pdfSegments(t.tokens || [t]), { x, width, color, baseStyle });
+        doc.moveDown(t.type === "paragraph" ? 0.5 : 0.1);
+        break;
+      case "list": {
+        const indent = 16;
+        t.items.forEach((item, i) => {
+          const marker = t.ordered ? `${(Number(t.start) || 1) + i}.` : ["•", "-", "•"][depth % 3];
+          pdfEnsureSpace(doc, 14);
+          const y = doc.y;
+          doc.font("Helvetica").fontSize(PDF_BODY_SIZE).fillColor(color).text(marker, x, y, { width: indent - 2 });
+          doc.y = y;
+          pdfBlocks(doc, item.tokens, { x: x + indent, width: width - indent, depth: depth + 1, color, baseStyle });
+        });
+        if (!depth) doc.moveDown(0.4);
+        break;
+      }
+      case "table":
+        pdfEnsureSpace(doc, 40);
+        pdfTable(
+          doc,
+          t.header.map((h) => pdfPlainText(h.tokens)),
+          t.rows.map((row) => row.map((c) => pdfPlainText(c.tokens))),
+          { x, width }
+        );
+        break;
+      case "blockquote": {
+        const startY = doc.y;
+        const startPage = doc.bufferedPageRange().count;
+        pdfBlocks(doc, t.tokens, {
+          x: x + 12,
+          width: width - 12,
+          depth,
+          color: "#555555",
+          baseStyle: { italics: true },
+        });
+        if (doc.bufferedPageRange().count === startPage) {
+          doc
+            .moveTo(x + 3, startY)
+            .lineTo(x + 3, doc.y - 6)
+            .lineWidth(2)
+            .stroke("#BBBBBB");
+        }
+        break;
+      }
+      case "code": {
+        const text = pdfSafeText(t.text || "");
+        doc.font("Courier").fontSize(8.5);
+        const h = doc.heightOfString(text || " ", { width: width - 12 }) + 10;
+        pdfEnsureSpace(doc, Math.min(h, 200));
+        const y = doc.y;
+        doc.rect(x, y, width, h).fill("#F2F2F2");
+        doc.fillColor(PDF_TEXT).text(text || " ", x + 6, y + 5, { width: width - 12 });
+        doc.x = x;
+        doc.y = Math.max(doc.y, y + h);
+        doc.moveDown(0.5);
+        break;
+      }
+      case "hr":
+        doc.moveDown(0.3);
+        doc
+          .moveTo(x, doc.y)
+          .lineTo(x + width, doc.y)
+          .lineWidth(0.75)
+          .stroke("#999999");
+        doc.moveDown(0.6);
+        break;
+      case "html":
+        if (t.text?.trim()) {
+          pdfWriteSegments(doc, pdfSegments([t]), { x, width, color, baseStyle });
+          doc.moveDown(0.5);
+        }
+        break;
+      default:
+        break; // space, def
+    }
+  });
+}
+
+function pdfHexColor(percent, bands) {
+  return `#${scoreColor(percent, bands)}`;
+}
+
+// KPI bar chart + good/watch/poor stacked bar drawn with vector shapes
+function pdfVisuals(doc, visuals, { x, width }) {
+  const kpis = Array.isArray(visuals?.kpi_scores) ? visuals.kpi_scores : [];
+  const dist = visuals?.distribution || visuals?.combined_distribution;
+  if (!kpis.length && !dist) return;
+  const bands = exportBands(visuals);
+
+  pdfBlocks(doc, [{ type: "heading", depth: 2, tokens: [{ type: "text", text: "Performance Summary" }] }], {
+    x,
+    width,
+  });
+
+  if (typeof visuals?.combined_score_percent === "number") {
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(12)
+      .fillColor(pdfHexColor(visuals.combined_score_percent, bands))
+      .text(`Combined score: ${visuals.combined_score_percent}%`, x, doc.y);
+    doc.moveDown(0.5);
+  }
+
+  const labelW = 110;
+  const barW = width - labelW - 45;
+  kpis.forEach((k) => {
+    const pct = Math.max(0, Math.min(100, Number(k.percent) || 0));
+    pdfEnsureSpace(doc, 18);
+    const y = doc.y;
+    doc.font("Helvetica").fontSize(9).fillColor(PDF_TEXT).text(pdfSafeText(k.label), x, y + 2, { width: labelW - 6 });
+    doc.rect(x + labelW, y, barW, 12).fill("#EEEEEE");
+    if (pct) doc.rect(x + labelW, y, (barW * pct) / 100, 12).fill(pdfHexColor(pct, bands));
+    doc.fillColor(PDF_TEXT).text(`${pct}%`, x + labelW + barW + 6, y + 2, { width: 40 });
+    doc.x = x;
+    doc.y = y + 18;
+  });
+
+  if (dist) {
+    const parts = [
+      { label: "Good", value: dist.good || 0, color: "#2E7D32" },
+      { label: "Watch", value: dist.watch || 0, color: "#F9A825" },
+      { label: "Poor", value: dist.poor || 0, color: "#C62828" },
+    ];
+    const total = parts.reduce((a, p) => a + p.value, 0);
+
+    doc.moveDown(0.6);
+    pdfEnsureSpace(doc, 50);
+    doc.font("Helvetica-Bold").fontSize(10).fillColor(PDF_TEXT).text("Record status distribution", x, doc.y);
+    doc.moveDown(0.3);
+
+    const y = doc.y;
+    let cx = x;
+    parts.forEach((p) => {
+      const w = total ? (width * p.value) / total : 0;
+      if (w) doc.rect(cx, y, w, 14).fill(p.color);
+      cx += w;
+    });
+    if (!total) doc.rect(x, y, width, 14).fill("#EEEEEE");
+
+    doc.y = y + 20;
+    const legend = parts
+      .map((p) => `${p.label}: ${p.value} (${total ? Math.round((p.value / total) * 100) : 0}%)`)
+      .join("     ");
+    doc.font("Helvetica").fontSize(9).fillColor(PDF_TEXT).text(legend, x, doc.y, { width });
+  }
+
+  doc.moveDown(1);
 }
 
-// =====================================================
-// Export helpers (Word .doc download without extra libs)
-// =====================================================
-function escapeHtml(str) {
-  return String(str || "")
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;");
+function pdfCoverPage(doc, { title, filters }) {
+  const { width, height } = doc.page;
+
+  doc.rect(0, 0, width, 170).fill(PDF_BRAND);
+  doc.font("Helvetica-Bold").fontSize(24).fillColor("#FFFFFF").text("ProMEL AI", PDF_MARGIN, 60);
+  doc.font("Helvetica").fontSize(12).text("Monitoring, Evaluation & Learning", PDF_MARGIN, 95);
+
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(26)
+    .fillColor(PDF_BRAND)
+    .text(pdfSafeText(title), PDF_MARGIN, 260, { width: width - PDF_MARGIN * 2 });
+
+  doc.moveDown(1.2);
+  doc.font("Helvetica").fontSize(11).fillColor(PDF_TEXT).text(pdfSafeText(exportFilterLine(filters)), PDF_MARGIN);
+  doc.moveDown(0.4);
+  doc.fillColor("#555555").text(`Generated: ${new Date().toLocaleString()}`, PDF_MARGIN);
+
+  doc.rect(0, height - 24, width, 24).fill(PDF_BRAND);
 }
 
-function markdownToHtml(md) {
-  const t = String(md || "").replace(/\r\n/g, "\n");
-  let html = escapeHtml(t);
-
-  html = html
-    .replace(/^######\s?(.*)$/gm, "<h6>$1</h6>")
-    .replace(/^#####\s?(.*)$/gm, "<h5>$1</h5>")
-    .replace(/^####\s?(.*)$/gm, "<h4>$1</h4>")
-    .replace(/^###\s?(.*)$/gm, "<h3>$1</h3>")
-    .replace(/^##\s?(.*)$/gm, "<h2>$1</h2>")
-    .replace(/^#\s?(.*)$/gm, "<h1>$1</h1>");
-
-  html = html.replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>");
-  html = html.replace(/\*(.+?)\*/g, "<em>$1</em>");
-
-  html = html.replace(/^\s*-\s+(.*)$/gm, "<li>$1</li>");
-  html = html.replace(/((?:\s*<li>[\s\S]*?<\/li>\s*)+)/g, "<ul>$1</ul>");
-
-  html = html
-    .replace(/\n{2,}/g, "\n\n")
-    .split("\n\n")
-    .map((chunk) => {
-      const c = chunk.trim();
-      if (!c) return "";
-      if (c.startsWith("<h") || c.startsWith("<ul>")) return c;
-      return `<p>${c.replace(/\n/g, "<br/>")}</p>`;
-    })
-    .filter(Boolean)
-    .join("\n");
+// Footer with page numbers on every page after the cover
+function pdfPageNumbers(doc, title) {
+  const range = doc.bufferedPageRange();
+  const contentPages = range.count - 1;
+
+  for (let i = range.start + 1; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0; // allow writing inside the bottom margin
+    const y = doc.page.height - 36;
+    const w = doc.page.width - PDF_MARGIN * 2;
+
+    doc
+      .moveTo(PDF_MARGIN, y - 6)
+      .lineTo(PDF_MARGIN + w, y - 6)
+      .lineWidth(0.5)
+      .stroke("#CCCCCC");
+    doc
+      .font("Helvetica")
+      .fontSize(8)
+      .fillColor("#777777")
+      .text(pdfSafeText(`ProMEL AI — ${title}`), PDF_MARGIN, y, { width: w * 0.7, lineBreak: false });
+    doc.text(`Page ${i - range.start} of ${contentPages}`, PDF_MARGIN, y, {
+      width: w,
+      align: "right",
+      lineBreak: false,
+    });
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+function buildPdf({ title, content, filters, visuals }) {
+  const safeTitle = exportTitle(title);
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: PDF_MARGIN,
+      bufferPages: true,
+      info: { Title: safeTitle, Author: "ProMEL AI", Subject: exportFilterLine(filters) },
+    });
+
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    try {
+      pdfCoverPage(doc, { title: safeTitle, filters });
+
+      doc.addPage();
+      const x = PDF_MARGIN;
+      const width = doc.page.width - PDF_MARGIN * 2;
+      pdfVisuals(doc, visuals, { x, width });
+      pdfBlocks(doc, markdownTokens(content), { x, width });
 
-  return html;
+      pdfPageNumbers(doc, safeTitle);
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
 }
 
 // =====================================================
-// Export endpoint - Word .doc
+// Export endpoint - PDF
 // =====================================================
-app.post("/api/export/word", (req, res) => {
+app.post("/api/export/pdf", async (req, res) => {
   try {
     const { title, content, filters } = req.body || {};
-    const safeTitle = (title || "ProMEL_AI_Report").toString().trim() || "ProMEL_AI_Report";
 
     if (!content) {
       return res.status(400).json({ success: false, error: 'Missing "content" to export.' });
     }
 
-    const filterLine = `Project: ${filters?.project || "All"} | Period: ${filters?.period || "All"} | Location: ${
-      filters?.location || "All"
-    }`;
-    const generated = `Generated: ${new Date().toLocaleString()}`;
-
-    const htmlBody = markdownToHtml(content);
-
-    const docHtml = `
-      <html>
-        <head>
-          <meta charset="utf-8" />
-          <title>${escapeHtml(safeTitle)}</title>
-          <style>
-            body { font-family: Arial, sans-serif; font-size: 11pt; }
-            h1 { font-size: 16pt; color: #003366; }
-            h2 { font-size: 14pt; color: #003366; }
-            h3 { font-size: 12pt; color: #003366; }
-            .meta { font-size: 10pt; color: #444; margin-bottom: 12px; }
-            ul { margin-top: 6px; }
-          </style>
-        </head>
-        <body>
-          <h1>${escapeHtml(safeTitle)}</h1>
-          <div class="meta">${escapeHtml(filterLine)}<br>${escapeHtml(generated)}</div>
-          ${htmlBody}
-        </body>
-      </html>
-    `.trim();
-
-    res.setHeader("Content-Type", "application/msword; charset=utf-8");
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename="${safeTitle.replace(/[^a-z0-9_\-]+/gi, "_")}.doc"`
-    );
-    return res.send(docHtml);
+    const visuals = await resolveExportVisuals(req.body);
+    const buffer = await buildPdf({ title, content, filters, visuals });
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${exportFileName(title, "pdf")}"`);
+    return res.send(buffer);
   } catch (err) {
-    console.error("Export error /api/export/word:", err);
-    return res.status(500).json({ success: false, error: "Failed to export Word document." });
+    if (err.status) return res.status(err.status).json({ success: false, error: err.message });
+    console.error("Export error /api/export/pdf:", err);
+    return res.status(500).json({ success: false, error: "Failed to export PDF document." });
   }
 });
 
 // =====================================================
 // MEL Intent Router
 // =====================================================
-function detectMELIntent(message) {
-  const m = String(message || "").toLowerCase().trim();
-
-  if (m.startsWith("what is") || m.startsWith("define") || m.includes("meaning of")) return "DEFINITION";
-
-  if (
-    m.includes("draft") ||
-    m.includes("create") ||
-    m.includes("develop") ||
-    m.includes("design") ||
-    m.includes("template") ||
-    m.includes("tool") ||
-    m.includes("instrument") ||
-    m.includes("survey") ||
-    m.includes("questionnaire") ||
-    m.includes("interview questions") ||
-    m.includes("evaluation questions") ||
-    m.includes("indicators") ||
-    m.includes("kpi") ||
-    m.includes("logframe") ||
-    m.includes("logical framework") ||
-    m.includes("theory of change") ||
-    m.includes("toc") ||
-    m.includes("sampling") ||
-    m.includes("methodology") ||
-    m.includes("tor") ||
-    m.includes("terms of reference") ||
-    m.includes("data collection")
-  ) {
-    return "TOOLS";
-  }
-
-  if (m.includes("report") || m.includes("evaluation report") || m.includes("mel report")) return "REPORT";
-
-  if (
-    m.includes("dashboard") ||
-    m.includes("trend") ||
-    m.includes("performance") ||
-    m.includes("interpret") ||
-    m.includes("explain the data") ||
-    m.includes("why is") ||
-    m.includes("why are") ||
-    m.includes("what does the data say")
-  ) {
-    return "DASHBOARD_ANALYSIS";
-  }
-
-  if (m.includes("lessons learned") || m.includes("after action") || m.includes("learning agenda"))
-    return "LEARNING";
-
-  return "HOW_TO";
+// Each intent has weighted rules; a rule is a group of phrases matched on
+// word boundaries ("tor" never matches inside "monitoring"). A trailing "*"
+// allows any word ending ("indicator*" also matches "indicators") and
+// at_start only counts the phrase at the start of the message. Every matching
+// phrase adds its rule's weight to the intent; the highest score wins and
+// ties go to the intent listed first. Low-confidence results can be handed to
+// the LLM when llm_fallback is enabled.
+const INTENTS_CONFIG_PATH = path.resolve(process.env.INTENTS_CONFIG || "config/intents.json");
+const INTENTS_CORPUS_PATH = path.resolve(process.env.INTENTS_CORPUS || "config/intents.corpus.json");
+const INTENT_FALLBACK_CACHE_MAX = 500;
+const INTENT_LLM_TIMEOUT_MS = 15000;
+
+const DEFAULT_INTENTS = {
+  DEFINITION: {
+    description: "Definition or explanation of a MEL concept.",
+    rules: [
+      { weight: 4, at_start: true, phrases: ["what is", "what are", "what's", "define"] },
+      { weight: 4, phrases: ["meaning of", "definition of", "what does it mean", "difference between"] },
+      { weight: 2, phrases: ["important", "why does it matter", "purpose of"] },
+    ],
+  },
+  TOOLS: {
+    description: "A tool, template or instrument (surveys, indicators, logframes, ToRs, sampling, methodology).",
+    rules: [
+      {
+        weight: 3,
+        phrases: [
+          "template*", "tool*", "instrument*", "survey*", "questionnaire*", "interview questions",
+          "evaluation questions", "focus group*", "indicator*", "kpi", "kpis", "logframe*", "logical framework",
+          "results framework", "theory of change", "toc", "sampling", "sample size", "methodology",
+          "tor", "tors", "terms of reference", "data collection", "checklist*", "mel plan", "m&e plan",
+        ],
+      },
+      { weight: 1, phrases: ["draft*", "create", "develop", "design*", "prepare", "build"] },
+    ],
+  },
+  REPORT: {
+    description: "A narrative report (progress, evaluation or donor report) written from the live data.",
+    rules: [
+      // "report" alone ("How many reports were submitted?") is not a request
+      // for one; it takes a writing verb to reach confident_score.
+      { weight: 4, phrases: ["write-up", "write up"] },
+      { weight: 2, phrases: ["report", "reports"] },
+      { weight: 2, phrases: ["draft*", "write", "generate", "produce", "prepare", "create", "compile"] },
+    ],
+  },
+  DASHBOARD_ANALYSIS: {
+    description: "Interpretation of the dashboard data: scores, trends, comparisons and their causes.",
+    rules: [
+      {
+        weight: 3,
+        phrases: [
+          "dashboard", "trend*", "performance", "performing", "underperform*", "interpret*", "explain the data",
+          "what does the data say", "analyse", "analyze", "analysis", "compare", "comparison", "how many",
+          "how much",
+        ],
+      },
+      {
+        weight: 2,
+        phrases: [
+          "score*", "declin*", "drop*", "fell", "falling", "improv*", "our data", "the data", "this quarter",
+          "last quarter", "this month", "last month", "budget", "why is", "why are", "why did", "why has",
+        ],
+      },
+    ],
+  },
+  LEARNING: {
+    description: "Learning and reflection: lessons learned, after-action reviews, learning agendas.",
+    rules: [
+      {
+        weight: 4,
+        phrases: [
+          "lessons learned", "lessons learnt", "after action", "after-action", "learning agenda",
+          "adaptive management", "pause and reflect",
+        ],
+      },
+      { weight: 3, phrases: ["lesson*", "reflection*", "reflect"] },
+    ],
+  },
+  HOW_TO: {
+    description: "Practical step-by-step MEL guidance.",
+    rules: [
+      { weight: 3, at_start: true, phrases: ["how do", "how can", "how to", "how should", "steps for", "steps to"] },
+      { weight: 2, phrases: ["steps", "step by step", "step-by-step", "guide", "guidance", "best practice*", "tips"] },
+    ],
+  },
+};
+
+// Intents whose answers are written from the live data summaries
+const LIVE_DATA_INTENTS = new Set(["REPORT", "DASHBOARD_ANALYSIS"]);
+
+function intentPhrasePattern(phrase, atStart) {
+  const prefix = phrase.endsWith("*");
+  const words = prefix ? phrase.slice(0, -1) : phrase;
+  const body = words.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+");
+  const start = atStart ? "^\\W*" : "(?<![\\p{L}\\d])";
+  const end = prefix ? "" : "(?![\\p{L}\\d])";
+  return new RegExp(`${start}${body}${end}`, "u");
+}
+
+// Intents file:
+// { "default_intent": "HOW_TO", "min_score": 2, "confident_score": 4,
+//   "llm_fallback": { "enabled": false, "below_confidence": 0.5 },
+//   "intents": { "<INTENT>": { "description", "rules": [{ "weight", "at_start", "phrases" }] } } }
+// An intent listed in the file replaces the built-in rules of that intent.
+async function loadIntentConfig() {
+  let raw = {};
+  try {
+    raw = JSON.parse(await fs.readFile(INTENTS_CONFIG_PATH, "utf8")) || {};
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      throw new Error(`Invalid intents config ${INTENTS_CONFIG_PATH}: ${err.message}`);
+    }
+  }
+  const invalid = (message) => new Error(`Invalid intents config ${INTENTS_CONFIG_PATH}: ${message}`);
+
+  const intents = {};
+  Object.entries({ ...DEFAULT_INTENTS, ...(raw.intents || {}) }).forEach(([name, spec]) => {
+    if (!DEFAULT_INTENTS[name]) {
+      throw invalid(`unknown intent "${name}" (use ${Object.keys(DEFAULT_INTENTS).join(", ")}).`);
+    }
+    const rules = (Array.isArray(spec?.rules) ? spec.rules : []).map((rule, i) => {
+      const weight = Number(rule?.weight ?? 1);
+      const phrases = Array.isArray(rule?.phrases) ? rule.phrases.map(safeLower).filter(Boolean) : [];
+      if (!Number.isFinite(weight) || weight <= 0 || !phrases.length) {
+        throw invalid(`rule ${i + 1} of intent "${name}" needs a positive weight and phrases.`);
+      }
+      const atStart = Boolean(rule.at_start);
+      return {
+        weight,
+        at_start: atStart,
+        phrases,
+        patterns: phrases.map((p) => ({ phrase: p, pattern: intentPhrasePattern(p, atStart) })),
+      };
+    });
+    intents[name] = { description: String(spec?.description || DEFAULT_INTENTS[name].description), rules };
+  });
+
+  const defaultIntent = String(raw.default_intent || "HOW_TO").toUpperCase();
+  if (!intents[defaultIntent]) throw invalid(`unknown default_intent "${raw.default_intent}".`);
+
+  const fallback = raw.llm_fallback || {};
+  const fallbackEnv = process.env.INTENT_LLM_FALLBACK;
+  return {
+    intents,
+    defaultIntent,
+    minScore: Math.max(0, Number(raw.min_score ?? 2)),
+    confidentScore: Math.max(1, Number(raw.confident_score ?? 4)),
+    llmFallback: {
+      enabled:
+        fallbackEnv !== undefined ? ["1", "true", "yes"].includes(safeLower(fallbackEnv)) : Boolean(fallback.enabled),
+      belowConfidence: Math.min(1, Math.max(0, Number(fallback.below_confidence ?? 0.5))),
+    },
+  };
+}
+
+const intentConfig = await loadIntentConfig();
+
+function intentNames() {
+  return Object.keys(intentConfig.intents);
+}
+
+// Rule-based scores for every intent. confidence = winner's share of all
+// points, scaled down while the winner is below confident_score.
+function scoreIntents(message) {
+  const m = safeLower(message).trim();
+  const candidates = intentNames()
+    .map((intent, order) => {
+      const matched = [];
+      let score = 0;
+      intentConfig.intents[intent].rules.forEach((rule) => {
+        rule.patterns.forEach(({ phrase, pattern }) => {
+          if (!pattern.test(m)) return;
+          matched.push(phrase);
+          score += rule.weight;
+        });
+      });
+      return { intent, score, matched, order };
+    })
+    .filter((c) => c.score > 0)
+    .sort((a, b) => b.score - a.score || a.order - b.order);
+
+  const total = candidates.reduce((sum, c) => sum + c.score, 0);
+  const intents = candidates.map(({ intent, score, matched }) => ({
+    intent,
+    score,
+    share: Math.round((score / total) * 100) / 100,
+    matched,
+  }));
+
+  const top = candidates[0];
+  if (!top || top.score < intentConfig.minScore) {
+    return { intent: intentConfig.defaultIntent, confidence: 0, method: "default", intents };
+  }
+  const strength = Math.min(1, top.score / intentConfig.confidentScore);
+  const confidence = Math.round((top.score / total) * strength * 100) / 100;
+  return { intent: top.intent, confidence, method: "rules", intents };
+}
+
+const INTENT_JSON_SCHEMA = {
+  name: "promel_intent",
+  strict: true,
+  schema: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      intent: { type: "string", enum: Object.keys(DEFAULT_INTENTS) },
+      confidence: { type: "number" },
+    },
+    required: ["intent", "confidence"],
+  },
+};
+
+function intentClassifierMessages(message) {
+  const list = intentNames()
+    .map((name) => `- ${name}: ${intentConfig.intents[name].description}`)
+    .join("\n");
+  return [
+    {
+      role: "system",
+      content: `Classify a request sent to a Monitoring, Evaluation & Learning assistant into exactly one intent.
+Intents:
+${list}
+Return JSON with the intent and your confidence between 0 and 1.`,
+    },
+    { role: "user", content: String(message) },
+  ];
+}
+
+// Fallback answers by normalised message, so repeated questions do not pay twice
+const intentFallbackCache = new Map();
+
+async function classifyWithLLM(message, rules) {
+  const key = safeLower(message).replace(/\s+/g, " ").trim();
+  if (intentFallbackCache.has(key)) return { ...intentFallbackCache.get(key), usage: null, cached: true };
+
+  const completion = await llmProvider.complete({
+    messages: intentClassifierMessages(message),
+    schema: INTENT_JSON_SCHEMA,
+    signal: AbortSignal.timeout(INTENT_LLM_TIMEOUT_MS),
+    context: { intentClassification: true, message, rules },
+  });
+  const parsed = safeParseAiJson(completion.text);
+  const intent = String(parsed?.intent || "").toUpperCase();
+  if (!intentConfig.intents[intent]) throw new Error(`LLM returned unknown intent "${parsed?.intent}".`);
+
+  const result = { intent, confidence: Math.min(1, Math.max(0, Number(parsed.confidence) || 0)) };
+  intentFallbackCache.set(key, result);
+  while (intentFallbackCache.size > INTENT_FALLBACK_CACHE_MAX) {
+    intentFallbackCache.delete(intentFallbackCache.keys().next().value);
+  }
+  return { ...result, usage: completion.usage, cached: false };
+}
+
+// { intent, confidence, method: rules | default | llm, intents: [...], usage }.
+// The LLM is only asked when the fallback is enabled, allowed (e.g. budget
+// left) and the rules are not confident enough; if it fails the rules stand.
+async function classifyIntent(message, { allowLLM = true } = {}) {
+  const rules = scoreIntents(message);
+  const { enabled, belowConfidence } = intentConfig.llmFallback;
+  if (!enabled || !allowLLM || rules.confidence >= belowConfidence) return { ...rules, usage: null };
+
+  try {
+    const llm = await classifyWithLLM(message, rules);
+    return {
+      ...rules,
+      intent: llm.intent,
+      confidence: llm.confidence,
+      method: "llm",
+      rules_intent: rules.intent,
+      rules_confidence: rules.confidence,
+      usage: llm.usage,
+    };
+  } catch (err) {
+    console.warn("Intent LLM fallback failed, using rules:", err.message);
+    return { ...rules, fallback_error: err.message, usage: null };
+  }
+}
+
+// Labelled corpus: [{ "message", "intent" }] or { "examples": [...] }.
+// npm test runs it and fails on any misclassified example.
+async function loadIntentCorpus() {
+  let raw;
+  try {
+    raw = JSON.parse(await fs.readFile(INTENTS_CORPUS_PATH, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw new Error(`Invalid intents corpus ${INTENTS_CORPUS_PATH}: ${err.message}`);
+  }
+  const examples = Array.isArray(raw) ? raw : raw?.examples;
+  if (!Array.isArray(examples)) throw new Error(`Invalid intents corpus ${INTENTS_CORPUS_PATH}: expected examples.`);
+  return examples.filter((e) => e && e.message).map((e) => ({ message: String(e.message), intent: e.intent }));
+}
+
+// intent_detection block of a chat reply
+function describeIntentDetection(detection) {
+  if (!detection) return null;
+  const { usage, ...rest } = detection;
+  return rest;
+}
+
+// Rule-only run over the corpus (never calls the LLM).
+function evaluateIntentCorpus(examples) {
+  const byIntent = {};
+  const failures = [];
+  let correct = 0;
+  examples.forEach(({ message, intent }) => {
+    const expected = String(intent || "").toUpperCase();
+    const result = scoreIntents(message);
+    const stats = (byIntent[expected] ||= { examples: 0, correct: 0 });
+    stats.examples++;
+    if (result.intent === expected) {
+      correct++;
+      stats.correct++;
+    } else {
+      const { confidence, intents } = result;
+      failures.push({ message, expected, detected: result.intent, confidence, intents });
+    }
+  });
+  return {
+    examples: examples.length,
+    correct,
+    accuracy: examples.length ? Math.round((correct / examples.length) * 1000) / 1000 : null,
+    by_intent: byIntent,
+    failures,
+  };
 }
 
+// Intents with their rules; ?message= also shows how that message scores and
+// ?evaluate=true runs the labelled corpus.
+app.get("/api/intents", async (req, res) => {
+  try {
+    const intents = intentNames().map((name) => ({
+      intent: name,
+      description: intentConfig.intents[name].description,
+      live_data: LIVE_DATA_INTENTS.has(name),
+      min_role: INTENT_MIN_ROLE[name] || "viewer",
+      rules: intentConfig.intents[name].rules.map(({ weight, at_start, phrases }) => ({ weight, at_start, phrases })),
+    }));
+
+    const body = {
+      success: true,
+      default_intent: intentConfig.defaultIntent,
+      min_score: intentConfig.minScore,
+      confident_score: intentConfig.confidentScore,
+      llm_fallback: {
+        enabled: intentConfig.llmFallback.enabled,
+        below_confidence: intentConfig.llmFallback.belowConfidence,
+      },
+      intents,
+    };
+
+    const message = String(req.query.message || "").trim();
+    if (message) body.classification = scoreIntents(message);
+
+    if (["1", "true", "yes"].includes(safeLower(req.query.evaluate))) {
+      const examples = await loadIntentCorpus();
+      if (!examples) {
+        return res.status(404).json({ success: false, error: `No intents corpus at ${INTENTS_CORPUS_PATH}.` });
+      }
+      body.evaluation = evaluateIntentCorpus(examples);
+    }
+
+    return res.json(body);
+  } catch (err) {
+    console.error("Backend error in /api/intents:", err);
+    return res.status(500).json({ success: false, error: "Failed to list intents." });
+  }
+});
+
 function getIntentOutputRules(intent) {
   switch (intent) {
     case "DEFINITION":
@@ -669,104 +5002,621 @@ INTENT: DEFINITION
 - Do NOT generate a report. Do NOT refer to dashboard visuals/charts.
 `.trim();
 
-    case "TOOLS":
-      return `
-INTENT: TOOLS
-- Produce the requested tool/template in a structured way.
-- If user asks for questions: group by theme + suggest response scales.
-- If user asks for indicators: include indicator, definition, data source, frequency, disaggregation.
-- Do NOT produce a full evaluation report unless explicitly requested.
-- Do NOT describe charts/dashboards.
-`.trim();
+    case "TOOLS":
+      return `
+INTENT: TOOLS
+- Produce the requested tool/template in a structured way.
+- If user asks for questions: group by theme + suggest response scales.
+- If user asks for indicators: include indicator, definition, data source, frequency, disaggregation.
+- Do NOT produce a full evaluation report unless explicitly requested.
+- Do NOT describe charts/dashboards.
+`.trim();
+
+    case "DASHBOARD_ANALYSIS":
+      return `
+INTENT: DASHBOARD_ANALYSIS
+- Use the provided LIVE summaries (if provided).
+- Output TEXT ONLY (no chart descriptions).
+- Structure:
+  1) What the data suggests (3–6 bullets)
+  2) Likely causes (hypotheses)
+  3) Recommended management actions (SMART)
+`.trim();
+
+    case "REPORT":
+      return `
+INTENT: REPORT
+- Generate a narrative report (TEXT ONLY) with headings:
+  1) Executive Summary
+  2) Purpose & Scope
+  3) Methods (state assumptions if missing)
+  4) Findings
+  5) Conclusions
+  6) Recommendations
+- Do NOT describe charts; do NOT replicate dashboard cards.
+`.trim();
+
+    case "LEARNING":
+      return `
+INTENT: LEARNING
+- Provide learning questions, reflection prompts, and practical actions.
+- Keep it usable for teams (bullets, short sections).
+- Do NOT generate a report unless asked.
+`.trim();
+
+    default:
+      return `
+INTENT: HOW_TO
+- Provide practical step-by-step guidance.
+- Use short headings and bullets.
+- Do NOT generate a report unless asked.
+`.trim();
+  }
+}
+
+// =====================================================
+// Conversation sessions (local JSON store)
+// =====================================================
+// Each session keeps its turns (message, filters, detected intent, reply) so
+// follow-up questions can be answered in context. The whole store is one JSON
+// file, rewritten after every change, so both the number of sessions and the
+// turns kept per session are capped (the oldest are dropped first).
+const SESSIONS_FILE = path.resolve(process.env.SESSIONS_FILE || "data/sessions.json");
+const SESSIONS_MAX = Math.max(1, Number(process.env.SESSIONS_MAX || 500));
+const SESSION_HISTORY_TURNS = Math.max(0, Number(process.env.SESSION_HISTORY_TURNS || 6));
+const SESSION_MAX_TURNS = Math.max(1, SESSION_HISTORY_TURNS, Number(process.env.SESSION_MAX_TURNS || 50));
+const SESSION_HISTORY_MAX_CHARS = 4000; // per stored assistant reply sent back as history
+
+function trimSessionTurns(session) {
+  if (!Array.isArray(session.turns)) session.turns = [];
+  if (session.turns.length > SESSION_MAX_TURNS) session.turns.splice(0, session.turns.length - SESSION_MAX_TURNS);
+}
+
+async function loadSessions() {
+  try {
+    const saved = JSON.parse(await fs.readFile(SESSIONS_FILE, "utf8"));
+    const list = Array.isArray(saved?.sessions) ? saved.sessions : [];
+    list.forEach((ss) => trimSessionTurns(ss));
+    return new Map(list.map((ss) => [ss.id, ss]));
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn("Sessions: could not read store, starting empty:", err.message);
+    return new Map();
+  }
+}
+
+const sessions = await loadSessions();
+let sessionsWrite = Promise.resolve();
+
+function saveSessions() {
+  const payload = JSON.stringify({ sessions: [...sessions.values()] });
+  sessionsWrite = sessionsWrite
+    .then(async () => {
+      await fs.mkdir(path.dirname(SESSIONS_FILE), { recursive: true });
+      const tmp = `${SESSIONS_FILE}.tmp`;
+      await fs.writeFile(tmp, payload);
+      await fs.rename(tmp, SESSIONS_FILE);
+    })
+    .catch((err) => console.warn("Sessions: could not write store:", err.message));
+  return sessionsWrite;
+}
+
+function createSession(title, owner) {
+  const now = new Date().toISOString();
+  const session = {
+    id: crypto.randomUUID(),
+    owner: owner || null,
+    title: String(title || "").trim() || "New conversation",
+    created_at: now,
+    updated_at: now,
+    turns: [],
+  };
+  sessions.set(session.id, session);
+
+  // keep the store bounded: drop the least recently used sessions
+  if (sessions.size > SESSIONS_MAX) {
+    const oldest = [...sessions.values()].sort((a, b) => a.updated_at.localeCompare(b.updated_at));
+    oldest.slice(0, sessions.size - SESSIONS_MAX).forEach((old) => sessions.delete(old.id));
+  }
+  return session;
+}
+
+// Users see their own sessions; admins see all of them.
+function canAccessSession(session, user) {
+  return Boolean(session) && (hasRole(user, "admin") || !session.owner || session.owner === user?.id);
+}
+
+function describeSession(session) {
+  return {
+    id: session.id,
+    title: session.title,
+    created_at: session.created_at,
+    updated_at: session.updated_at,
+    turn_count: session.turns.length,
+  };
+}
+
+// Most recent completed turns as Responses API input messages.
+function sessionHistoryInput(session) {
+  if (!session || !SESSION_HISTORY_TURNS) return [];
+  return session.turns.slice(-SESSION_HISTORY_TURNS).flatMap((t) => [
+    { role: "user", content: t.message },
+    { role: "assistant", content: String(t.reply || "").slice(0, SESSION_HISTORY_MAX_CHARS) },
+  ]);
+}
+
+function lastSessionFilters(session) {
+  const last = session?.turns?.[session.turns.length - 1];
+  return last?.filters || null;
+}
+
+// Store the finished turn (starting a session if the request had none) and
+// return the session id for the response. If the session was evicted or
+// deleted while the answer was being generated, the turn starts a new session
+// and the reply is flagged with session_restarted.
+function recordSessionTurn(chat, reply) {
+  if (chat.session && sessions.get(chat.session.id) !== chat.session) {
+    chat.session = null;
+    reply.session_restarted = true;
+  }
+  const session = chat.session || createSession("", chat.user?.id);
+  chat.session = session;
+  session.turns.push({
+    at: new Date().toISOString(),
+    message: chat.message,
+    filters: chat.filters || {},
+    intent: chat.intent,
+    reply: reply.reply,
+    report_title: reply.report_title || null,
+    key_findings: reply.key_findings || [],
+    recommendations: reply.recommendations || [],
+  });
+  trimSessionTurns(session);
+  if (session.turns.length === 1 && session.title === "New conversation") {
+    session.title = String(chat.message).trim().slice(0, 80);
+  }
+  session.updated_at = new Date().toISOString();
+  saveSessions();
+  return session.id;
+}
+
+app.post("/api/sessions", (req, res) => {
+  const session = createSession(req.body?.title, req.user?.id);
+  saveSessions();
+  return res.status(201).json({ success: true, session: describeSession(session) });
+});
+
+app.get("/api/sessions", (req, res) => {
+  const list = [...sessions.values()]
+    .filter((ss) => canAccessSession(ss, req.user))
+    .sort((a, b) => b.updated_at.localeCompare(a.updated_at))
+    .map(describeSession);
+  return res.json({ success: true, sessions: list });
+});
+
+app.get("/api/sessions/:id", (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!canAccessSession(session, req.user)) {
+    return res.status(404).json({ success: false, error: "Session not found." });
+  }
+  return res.json({ success: true, session: { ...describeSession(session), turns: session.turns } });
+});
+
+app.delete("/api/sessions/:id", (req, res) => {
+  if (!canAccessSession(sessions.get(req.params.id), req.user)) {
+    return res.status(404).json({ success: false, error: "Session not found." });
+  }
+  sessions.delete(req.params.id);
+  saveSessions();
+  return res.json({ success: true });
+});
+
+// =====================================================
+// Rate limits, token budgets and usage tracking
+// =====================================================
+// Every AI call records its input/output tokens (and an estimated cost) per
+// user and per project filter. Budgets come from BUDGETS_CONFIG
+// (config/budgets.json); a limit that is missing or 0 is not enforced.
+const BUDGETS_CONFIG_PATH = path.resolve(process.env.BUDGETS_CONFIG || "config/budgets.json");
+const USAGE_FILE = path.resolve(process.env.USAGE_FILE || "data/usage.json");
+const USAGE_RETENTION_DAYS = Math.max(1, Number(process.env.USAGE_RETENTION_DAYS || 400));
+const BUDGET_LIMIT_KEYS = ["daily_tokens", "monthly_tokens", "daily_cost_usd", "monthly_cost_usd"];
+const ALL_PROJECTS = "(all projects)";
+
+// Budgets file:
+// { "rate_limit_per_minute": 20,
+//   "pricing": { "default": { "input_per_1m_usd", "output_per_1m_usd" }, "<model>": {...} },
+//   "user": { daily_tokens, monthly_tokens, daily_cost_usd, monthly_cost_usd },
+//   "project": { ...same limits },
+//   "users": { "<user id>": { ...limits } }, "projects": { "<project>": { ...limits } } }
+async function loadBudgets() {
+  let raw = {};
+  try {
+    raw = JSON.parse(await fs.readFile(BUDGETS_CONFIG_PATH, "utf8")) || {};
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      throw new Error(`Invalid budgets config ${BUDGETS_CONFIG_PATH}: ${err.message}`);
+    }
+  }
+
+  const perMinute = process.env.RATE_LIMIT_PER_MINUTE ?? raw.rate_limit_per_minute ?? 20;
+  return {
+    rateLimitPerMinute: Math.max(0, Number(perMinute) || 0),
+    pricing: raw.pricing || {},
+    user: raw.user || {},
+    project: raw.project || {},
+    users: raw.users || {},
+    projects: raw.projects || {},
+  };
+}
+
+const budgets = await loadBudgets();
+
+// Effective limits: the per-user/per-project override wins over the default.
+function budgetLimits(scope, key) {
+  const base = scope === "user" ? budgets.user : budgets.project;
+  const override = (scope === "user" ? budgets.users : budgets.projects)[key] || {};
+  const limits = {};
+  for (const name of BUDGET_LIMIT_KEYS) {
+    const value = Number(override[name] ?? base[name] ?? 0);
+    if (value > 0) limits[name] = value;
+  }
+  return limits;
+}
+
+function usageCost(model, usage) {
+  const price = budgets.pricing[model] || budgets.pricing.default;
+  if (!price || !usage) return null;
+  const cost =
+    ((usage.input_tokens || 0) * Number(price.input_per_1m_usd || 0) +
+      (usage.output_tokens || 0) * Number(price.output_per_1m_usd || 0)) /
+    1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+// Project name as the budgets file spells it (any case), else as given.
+function budgetProjectName(name) {
+  const trimmed = String(name ?? "").trim();
+  const wanted = safeLower(trimmed);
+  return Object.keys(budgets.projects).find((p) => safeLower(p) === wanted) || trimmed;
+}
+
+function distinctProjects(names) {
+  const byKey = new Map();
+  names.map(budgetProjectName).forEach((p) => p && byKey.set(safeLower(p), p));
+  return [...byKey.values()].sort();
+}
+
+// Projects a chat is charged to. With a project filter these are the project
+// names of the rows it matched, so "wash" or ["WASH", "zzz"] are charged to
+// "WASH"; without loaded data (or matching rows) the filter values are used.
+function usageProjects(filters, dataCtx = null) {
+  const wanted = filterValues(filters?.project);
+  if (!wanted.length) return [ALL_PROJECTS];
+
+  const matched = [];
+  for (const part of dataCtx ? [dataCtx.monitoring, dataCtx.evaluation] : []) {
+    const idx = part.filtered.columns?.project;
+    if (idx === undefined || idx === -1) continue;
+    part.filtered.data.forEach((r) => matched.push(r[idx]));
+  }
+  const projects = distinctProjects(matched);
+  return projects.length ? projects : distinctProjects(wanted);
+}
+
+// Projects of one usage record (older records only have "project")
+function recordProjects(u) {
+  return Array.isArray(u.projects) ? u.projects : [u.project];
+}
+
+async function loadUsage() {
+  try {
+    const saved = JSON.parse(await fs.readFile(USAGE_FILE, "utf8"));
+    return Array.isArray(saved?.records) ? saved.records : [];
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn("Usage: could not read store, starting empty:", err.message);
+    return [];
+  }
+}
+
+let usageRecords = await loadUsage();
+let usageWrite = Promise.resolve();
+
+function saveUsage() {
+  const cutoff = new Date(Date.now() - USAGE_RETENTION_DAYS * 86400000).toISOString();
+  usageRecords = usageRecords.filter((u) => u.at >= cutoff);
+  const payload = JSON.stringify({ records: usageRecords });
+  usageWrite = usageWrite
+    .then(async () => {
+      await fs.mkdir(path.dirname(USAGE_FILE), { recursive: true });
+      const tmp = `${USAGE_FILE}.tmp`;
+      await fs.writeFile(tmp, payload);
+      await fs.rename(tmp, USAGE_FILE);
+    })
+    .catch((err) => console.warn("Usage: could not write store:", err.message));
+  return usageWrite;
+}
+
+// Store the tokens of one answered chat request (all model calls summed).
+function recordUsage(chat, usage) {
+  if (!usage) return null;
+  const projects = chat.projects || usageProjects(chat.filters);
+  const record = {
+    at: new Date().toISOString(),
+    user: chat.user?.id || "anonymous",
+    project: projects.join(", "),
+    projects,
+    intent: chat.intent,
+    provider: llmProvider.name,
+    model: llmProvider.model,
+    input_tokens: usage.input_tokens || 0,
+    output_tokens: usage.output_tokens || 0,
+    total_tokens: usage.total_tokens || 0,
+    cost_usd: usageCost(llmProvider.model, usage),
+  };
+  usageRecords.push(record);
+  saveUsage();
+  return record;
+}
+
+// Usage block returned with each chat reply
+function describeUsage(record) {
+  if (!record) return null;
+  const { model, input_tokens, output_tokens, total_tokens, cost_usd } = record;
+  return { model, input_tokens, output_tokens, total_tokens, cost_usd };
+}
+
+function sumUsage(records) {
+  const total = { requests: 0, input_tokens: 0, output_tokens: 0, total_tokens: 0, cost_usd: 0 };
+  for (const u of records) {
+    total.requests++;
+    total.input_tokens += u.input_tokens || 0;
+    total.output_tokens += u.output_tokens || 0;
+    total.total_tokens += u.total_tokens || 0;
+    total.cost_usd += u.cost_usd || 0;
+  }
+  total.cost_usd = Math.round(total.cost_usd * 1e6) / 1e6;
+  return total;
+}
+
+// Spend vs limits for one user or project in the current UTC day and month.
+function budgetStatus(scope, key, now = new Date()) {
+  const day = now.toISOString().slice(0, 10);
+  const month = day.slice(0, 7);
+  const mine = usageRecords.filter((u) => (scope === "project" ? recordProjects(u).includes(key) : u[scope] === key));
+  const daily = sumUsage(mine.filter((u) => u.at.startsWith(day)));
+  const monthly = sumUsage(mine.filter((u) => u.at.startsWith(month)));
+  const spent = {
+    daily_tokens: daily.total_tokens,
+    monthly_tokens: monthly.total_tokens,
+    daily_cost_usd: daily.cost_usd,
+    monthly_cost_usd: monthly.cost_usd,
+  };
+  const limits = budgetLimits(scope, key);
+  const exceeded = Object.keys(limits).filter((name) => spent[name] >= limits[name]);
+  return { scope, key, spent, limits, exceeded };
+}
+
+// Returns { status, message } when the user or any of the projects is out of
+// budget. A request spanning several projects counts against each of them.
+function checkBudgets(user, projects) {
+  const statuses = [
+    budgetStatus("user", user?.id || "anonymous"),
+    ...projects.map((p) => budgetStatus("project", p)),
+  ];
+  for (const status of statuses) {
+    if (status.exceeded.length) {
+      const name = status.exceeded[0];
+      const detail = `${name}: ${status.spent[name]} of ${status.limits[name]}`;
+      return { status: 429, message: `The ${status.scope} budget for "${status.key}" is used up (${detail}).` };
+    }
+  }
+  return null;
+}
+
+// Sliding one-minute window per API key / JWT subject (per IP without auth).
+const rateLimitHits = new Map(); // client key -> request timestamps (ms)
 
-    case "DASHBOARD_ANALYSIS":
-      return `
-INTENT: DASHBOARD_ANALYSIS
-- Use the provided LIVE summaries (if provided).
-- Output TEXT ONLY (no chart descriptions).
-- Structure:
-  1) What the data suggests (3–6 bullets)
-  2) Likely causes (hypotheses)
-  3) Recommended management actions (SMART)
-`.trim();
+function rateLimitKey(req) {
+  return req.user && req.user.auth !== "none" ? `user:${req.user.id}` : `ip:${req.ip}`;
+}
 
-    case "REPORT":
-      return `
-INTENT: REPORT
-- Generate a narrative report (TEXT ONLY) with headings:
-  1) Executive Summary
-  2) Purpose & Scope
-  3) Methods (state assumptions if missing)
-  4) Findings
-  5) Conclusions
-  6) Recommendations
-- Do NOT describe charts; do NOT replicate dashboard cards.
-`.trim();
+function chatRateLimit(req, res, next) {
+  const limit = budgets.rateLimitPerMinute;
+  if (!limit) return next();
 
-    case "LEARNING":
-      return `
-INTENT: LEARNING
-- Provide learning questions, reflection prompts, and practical actions.
-- Keep it usable for teams (bullets, short sections).
-- Do NOT generate a report unless asked.
-`.trim();
+  const now = Date.now();
+  const key = rateLimitKey(req);
+  const hits = (rateLimitHits.get(key) || []).filter((t) => t > now - 60000);
 
-    default:
-      return `
-INTENT: HOW_TO
-- Provide practical step-by-step guidance.
-- Use short headings and bullets.
-- Do NOT generate a report unless asked.
-`.trim();
+  res.setHeader("X-RateLimit-Limit", String(limit));
+  if (hits.length >= limit) {
+    rateLimitHits.set(key, hits);
+    res.setHeader("Retry-After", String(Math.max(1, Math.ceil((hits[0] + 60000 - now) / 1000))));
+    res.setHeader("X-RateLimit-Remaining", "0");
+    return res.status(429).json({ success: false, error: `Rate limit exceeded (${limit} requests per minute).` });
+  }
+
+  hits.push(now);
+  rateLimitHits.set(key, hits);
+  res.setHeader("X-RateLimit-Remaining", String(limit - hits.length));
+
+  // drop idle clients so the map does not grow forever
+  if (rateLimitHits.size > 1000) {
+    for (const [k, times] of rateLimitHits) {
+      if (!times.length || times[times.length - 1] <= now - 60000) rateLimitHits.delete(k);
+    }
   }
+  return next();
 }
 
+// Spend by project (default), user, day, month or model. Users see their own
+// usage; admins see everyone's. ?from=YYYY-MM-DD&to=YYYY-MM-DD limit the range.
+const USAGE_GROUPS = {
+  project: (u) => u.project,
+  user: (u) => u.user,
+  day: (u) => u.at.slice(0, 10),
+  month: (u) => u.at.slice(0, 7),
+  model: (u) => u.model,
+};
+
+app.get("/api/usage", (req, res) => {
+  const groupBy = String(req.query.group_by || "project");
+  if (!USAGE_GROUPS[groupBy]) {
+    return res
+      .status(400)
+      .json({ success: false, error: `Unknown group_by "${groupBy}" (use ${Object.keys(USAGE_GROUPS).join(", ")}).` });
+  }
+
+  const isAdmin = hasRole(req.user, "admin");
+  const from = String(req.query.from || "");
+  const to = String(req.query.to || "");
+  const records = usageRecords.filter(
+    (u) =>
+      (isAdmin || u.user === req.user?.id) &&
+      (!req.query.user || u.user === req.query.user) &&
+      (!req.query.project || recordProjects(u).includes(req.query.project)) &&
+      (!from || u.at.slice(0, 10) >= from) &&
+      (!to || u.at.slice(0, 10) <= to)
+  );
+
+  const grouped = new Map();
+  for (const u of records) {
+    const key = USAGE_GROUPS[groupBy](u);
+    if (!grouped.has(key)) grouped.set(key, []);
+    grouped.get(key).push(u);
+  }
+  const groups = [...grouped.entries()]
+    .map(([key, list]) => ({ key, ...sumUsage(list) }))
+    .sort((a, b) => b.total_tokens - a.total_tokens);
+
+  const projects = isAdmin ? [...new Set(usageRecords.flatMap(recordProjects))] : [];
+  return res.json({
+    success: true,
+    group_by: groupBy,
+    range: { from: from || null, to: to || null },
+    totals: sumUsage(records),
+    groups,
+    budgets: {
+      rate_limit_per_minute: budgets.rateLimitPerMinute,
+      user: budgetStatus("user", req.user?.id || "anonymous"),
+      projects: projects.map((p) => budgetStatus("project", p)),
+    },
+  });
+});
+
 // =====================================================
-// Main AI endpoint for your dashboard card
+// Response cache (identical questions over unchanged data)
 // =====================================================
-app.post("/api/pas-ai-chat", async (req, res) => {
-  try {
-    const { message, filters, intent_override } = req.body || {};
+// Keyed on the normalised message, filters, intent, provider/model and a hash
+// of the filtered rows, so a preset question clicked twice is answered from
+// memory until the data behind it changes. Requests that carry session
+// history are never cached. RESPONSE_CACHE_TTL_SECONDS=0 disables the cache.
+const RESPONSE_CACHE_TTL_MS = Math.max(0, Number(process.env.RESPONSE_CACHE_TTL_SECONDS ?? 3600)) * 1000;
+const RESPONSE_CACHE_MAX = Math.max(1, Number(process.env.RESPONSE_CACHE_MAX || 200));
 
-    if (!message) {
-      return res.status(400).json({ success: false, error: 'Missing "message" in request body' });
-    }
+const responseCache = new Map(); // key -> { reply, storedAt } (insertion order = least recently used first)
 
-    if (!process.env.OPENAI_API_KEY) {
-      return res.status(500).json({ success: false, error: "OPENAI_API_KEY is not set on the server." });
-    }
+function normaliseMessage(message) {
+  return safeLower(String(message || "").replace(/\s+/g, " ")).replace(/[\s?.!]+$/, "");
+}
 
-    const [monCsvText, evalCsvText] = await Promise.all([
-      fetchCsvText(MONITORING_CSV_URL),
-      fetchCsvText(EVALUATION_CSV_URL),
-    ]);
+// Lower-case strings; multi-value filters become a sorted, de-duplicated list
+// (or a single value), so ["Lae", "Goroka"], ["goroka", "lae"] and "Lae" vs
+// ["Lae"] select the same cache entry.
+function normaliseFilterValue(value) {
+  if (typeof value === "string") return safeLower(value);
+  if (!Array.isArray(value)) return value;
+  const items = new Map();
+  value.map(normaliseFilterValue).forEach((v) => {
+    if (v !== undefined && v !== null && v !== "") items.set(JSON.stringify(v), v);
+  });
+  const sorted = [...items.keys()].sort().map((k) => items.get(k));
+  return sorted.length === 1 ? sorted[0] : sorted;
+}
 
-    const monRows = parseCSV(monCsvText);
-    const evalRows = parseCSV(evalCsvText);
+// JSON with sorted keys and empty filter values dropped
+function normaliseFilters(filters) {
+  const out = {};
+  for (const key of Object.keys(filters || {}).sort()) {
+    const value = normaliseFilterValue(filters[key]);
+    if (value === undefined || value === null || value === "" || (Array.isArray(value) && !value.length)) continue;
+    out[key] = value;
+  }
+  return out;
+}
 
-    const monFiltered = filterMonitoringRows(monRows, filters);
-    const evalFiltered = filterEvaluationRows(evalRows, filters);
+function hashFilteredRows(filtered) {
+  const hash = crypto.createHash("sha256");
+  hash.update(JSON.stringify(filtered.header || []));
+  for (const r of filtered.data || []) hash.update(JSON.stringify(r));
+  return hash.digest("hex");
+}
 
-    const monitoringSummary = summariseMonitoring(monFiltered.header, monFiltered.data);
-    const evaluationSummary = summariseEvaluation(evalFiltered.header, evalFiltered.data);
+// The dataset cache keeps the same rows array until the data really changes
+// (304 / unchanged file keep it), so the array's identity versions the whole
+// dataset without rehashing every row.
+const rowsVersions = new WeakMap(); // rows array -> version number
+let lastRowsVersion = 0;
 
-    const monVisuals = computeVisualsFromMonitoring(monFiltered.header, monFiltered.data);
-    const evalVisuals = computeVisualsFromEvaluation(evalFiltered.header, evalFiltered.data);
-    const combinedVisuals = mergeVisuals(monVisuals, evalVisuals);
+function rowsVersion(rows) {
+  if (!rows) return null;
+  if (!rowsVersions.has(rows)) rowsVersions.set(rows, ++lastRowsVersion);
+  return rowsVersions.get(rows);
+}
 
-    const filterText = `
-Dashboard Context:
-- Location: ${filters?.location || "All"}
-- Reporting period: ${filters?.period || "All"}
-- Project: ${filters?.project || "All"}
-`.trim();
+function responseCacheKey({ message, filters, intent, session, dataCtx }) {
+  if (!RESPONSE_CACHE_TTL_MS || sessionHistoryInput(session).length) return null;
+  const parts = {
+    message: normaliseMessage(message),
+    filters: normaliseFilters(filters),
+    intent,
+    provider: llmProvider.name,
+    model: llmProvider.model,
+    datasets: dataCtx.datasetsUsed,
+    monitoring: hashFilteredRows(dataCtx.monitoring.filtered),
+    evaluation: hashFilteredRows(dataCtx.evaluation.filtered),
+    // target actuals read every monitoring row in scope, not just the filtered ones
+    targets: dataCtx.targets.dataset
+      ? [hashFilteredRows(dataCtx.targets.filtered), rowsVersion(dataCtx.monitoring.rows)]
+      : null,
+  };
+  return crypto.createHash("sha256").update(JSON.stringify(parts)).digest("hex");
+}
+
+function getCachedReply(key) {
+  const hit = key && responseCache.get(key);
+  if (!hit) return null;
+  if (Date.now() - hit.storedAt > RESPONSE_CACHE_TTL_MS) {
+    responseCache.delete(key);
+    return null;
+  }
+  responseCache.delete(key);
+  responseCache.set(key, hit);
+  return hit;
+}
 
-    const intent = (intent_override && String(intent_override).trim()) || detectMELIntent(message);
-    const intentRules = getIntentOutputRules(intent);
+// Only answers the model got right (parseable JSON) are worth replaying.
+function storeCachedReply(chat, reply) {
+  if (!chat.cacheKey || !reply.report_title) return;
+  responseCache.set(chat.cacheKey, { reply: structuredClone(reply), storedAt: Date.now() });
+  while (responseCache.size > RESPONSE_CACHE_MAX) {
+    responseCache.delete(responseCache.keys().next().value);
+  }
+}
 
-    const includeLiveDataInPrompt = intent === "REPORT" || intent === "DASHBOARD_ANALYSIS";
+// Reply for a cache hit: the stored answer, flagged, with no tokens spent.
+function cachedChatReply(chat) {
+  const { reply, storedAt } = chat.cachedReply;
+  const cached = { ...structuredClone(reply), cached: true, cached_at: new Date(storedAt).toISOString() };
+  cached.session_id = recordSessionTurn(chat, cached);
+  cached.usage = null;
+  return cached;
+}
 
-    const SYSTEM_PROMPT = `
+// =====================================================
+// AI chat pipeline (shared by the JSON and streaming endpoints)
+// =====================================================
+const SYSTEM_PROMPT = `
 You are ProMEL AI, a Monitoring, Evaluation & Learning (MEL) assistant for Papua New Guinea projects.
 
 CRITICAL BEHAVIOR:
@@ -781,64 +5631,275 @@ JSON OUTPUT REQUIREMENTS:
 - recommendations must contain 3–7 items (never empty).
 `.trim();
 
-    const JSON_SCHEMA = {
-      name: "promel_ai_response",
-      strict: true,
-      schema: {
+// Sources of one finding / recommendation (same order as the list)
+const SOURCE_LIST_SCHEMA = {
+  type: "array",
+  items: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      rows: { type: "array", items: { type: "string" } },
+      metrics: { type: "array", items: { type: "string" } },
+    },
+    required: ["rows", "metrics"],
+  },
+};
+
+const JSON_SCHEMA = {
+  name: "promel_ai_response",
+  strict: true,
+  schema: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      report_title: { type: "string" },
+      report_markdown: { type: "string" },
+      key_findings: { type: "array", items: { type: "string" } },
+      recommendations: { type: "array", items: { type: "string" } },
+      key_finding_sources: SOURCE_LIST_SCHEMA,
+      recommendation_sources: SOURCE_LIST_SCHEMA,
+      visuals: {
         type: "object",
         additionalProperties: false,
         properties: {
-          report_title: { type: "string" },
-          report_markdown: { type: "string" },
-          key_findings: { type: "array", items: { type: "string" } },
-          recommendations: { type: "array", items: { type: "string" } },
-          visuals: {
+          kpi_scores: {
+            type: "array",
+            items: {
+              type: "object",
+              additionalProperties: false,
+              properties: {
+                label: { type: "string" },
+                percent: { type: "number" },
+              },
+              required: ["label", "percent"],
+            },
+          },
+          distribution: {
             type: "object",
             additionalProperties: false,
             properties: {
-              kpi_scores: {
-                type: "array",
-                items: {
-                  type: "object",
-                  additionalProperties: false,
-                  properties: {
-                    label: { type: "string" },
-                    percent: { type: "number" },
-                  },
-                  required: ["label", "percent"],
-                },
-              },
-              distribution: {
-                type: "object",
-                additionalProperties: false,
-                properties: {
-                  good: { type: "number" },
-                  watch: { type: "number" },
-                  poor: { type: "number" },
-                },
-                required: ["good", "watch", "poor"],
-              },
-              combined_score_percent: { type: "number" },
-              combined_distribution: {
-                type: "object",
-                additionalProperties: false,
-                properties: {
-                  good: { type: "number" },
-                  watch: { type: "number" },
-                  poor: { type: "number" },
-                },
-                required: ["good", "watch", "poor"],
-              },
+              good: { type: "number" },
+              watch: { type: "number" },
+              poor: { type: "number" },
+            },
+            required: ["good", "watch", "poor"],
+          },
+          combined_score_percent: { type: "number" },
+          combined_distribution: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              good: { type: "number" },
+              watch: { type: "number" },
+              poor: { type: "number" },
             },
-            required: ["kpi_scores", "distribution", "combined_score_percent", "combined_distribution"],
+            required: ["good", "watch", "poor"],
           },
         },
-        required: ["report_title", "report_markdown", "key_findings", "recommendations", "visuals"],
+        required: ["kpi_scores", "distribution", "combined_score_percent", "combined_distribution"],
       },
-    };
+    },
+    required: [
+      "report_title",
+      "report_markdown",
+      "key_findings",
+      "recommendations",
+      "key_finding_sources",
+      "recommendation_sources",
+      "visuals",
+    ],
+  },
+};
+
+const FALLBACK_FINDINGS = [
+  "Clear MEL concepts and tools improve decision-making and accountability throughout the project cycle.",
+  "Using fit-for-purpose indicators and data collection methods increases the reliability of findings and learning.",
+  "Regular reflection and adaptive action planning strengthens outcomes and sustainability over time.",
+];
+
+const FALLBACK_RECOMMENDATIONS = [
+  "Use an intent-based approach: definitions, tools, analysis, and reports should be produced only when requested.",
+  "Standardize templates (indicators, tools, learning notes) so teams apply MEL consistently across projects.",
+  "Institutionalize periodic learning reviews and management action tracking to close feedback loops.",
+];
+
+// JSON_SCHEMA plus the rules the prompt asks for but Structured Outputs does
+// not enforce (3–7 findings/recommendations, no empty strings).
+const RESPONSE_VALIDATION_SCHEMA = (() => {
+  const schema = JSON.parse(JSON.stringify(JSON_SCHEMA.schema));
+  ["key_findings", "recommendations"].forEach((key) => {
+    Object.assign(schema.properties[key], { minItems: 3, maxItems: 7 });
+    schema.properties[key].items.minLength = 1;
+  });
+  schema.properties.report_markdown.minLength = 1;
+  return schema;
+})();
+
+const AI_REPAIR_RETRIES = Math.max(0, Number(process.env.AI_REPAIR_RETRIES ?? 1));
+
+function repairPrompt(errors) {
+  return `
+Your previous response did not pass validation against the promel_ai_response schema:
+${errors.map((e) => `- ${e.path}: ${e.message}`).join("\n")}
+
+Return the corrected response as STRICT JSON only (no code fences, no commentary).
+Keep the same content where it was valid.
+- key_findings: 3–7 non-empty strings.
+- recommendations: 3–7 non-empty strings.
+- report_markdown: non-empty.
+`.trim();
+}
+
+function addUsage(total, usage) {
+  if (!usage) return total;
+  return {
+    input_tokens: (total?.input_tokens || 0) + (usage.input_tokens || 0),
+    output_tokens: (total?.output_tokens || 0) + (usage.output_tokens || 0),
+    total_tokens: (total?.total_tokens || 0) + (usage.total_tokens || 0),
+  };
+}
+
+// Validate the first completion and, while it fails, send the errors back to
+// the model for a corrected answer (at most AI_REPAIR_RETRIES times).
+async function validateWithRepair(chat, first, { signal } = {}) {
+  let text = first.text;
+  let usage = addUsage(null, first.usage);
+  chat.usage = usage; // kept on the chat so a failed or abandoned repair still counts
+  let check = checkAiAnswer(text);
+  let attempts = 1;
+
+  while (!check.valid && attempts <= AI_REPAIR_RETRIES) {
+    const repaired = await llmProvider.complete({
+      messages: [
+        ...chatMessages(chat),
+        { role: "assistant", content: String(text || "") },
+        { role: "user", content: repairPrompt(check.errors) },
+      ],
+      schema: JSON_SCHEMA,
+      signal,
+      context: chat,
+    });
+    attempts++;
+    usage = addUsage(usage, repaired.usage);
+    chat.usage = usage;
+
+    const next = checkAiAnswer(repaired.text);
+    // never trade a parseable answer for an unparseable one
+    if (next.json || !check.json) {
+      text = repaired.text;
+      check = next;
+    }
+  }
+
+  return { text, json: check.json, valid: check.valid, errors: check.errors, attempts, usage };
+}
+
+// Store the tokens a chat's model calls spent, once. Called on success and
+// again from the endpoints' finally blocks, so tokens spent before an error or
+// a client disconnect still count against budgets.
+function recordChatUsage(chat) {
+  if (!chat?.usage || chat.usageRecorded) return null;
+  chat.usageRecorded = true;
+  return recordUsage(chat, chat.usage);
+}
+
+// Validate the request, load the data and build the prompt. Returns
+// { error: { status, message } } or the prepared chat context.
+async function prepareChat(body, user) {
+  const { message, intent_override, datasets, session_id } = body || {};
+
+  if (!message) {
+    return { error: { status: 400, message: 'Missing "message" in request body' } };
+  }
+
+  let session = null;
+  if (session_id) {
+    session = sessions.get(String(session_id));
+    if (!canAccessSession(session, user)) return { error: { status: 404, message: "Session not found." } };
+  }
+
+  // Follow-ups without filters keep the filters of the previous turn
+  const filters = body?.filters || lastSessionFilters(session) || undefined;
+
+  const providerProblem = llmProvider.configError();
+  if (providerProblem) {
+    return { error: { status: 500, message: providerProblem } };
+  }
+
+  let dataCtx;
+  try {
+    dataCtx = await loadDataContext({ filters, datasets, forceRefresh: Boolean(body?.refresh_data) });
+  } catch (err) {
+    if (!err.status) throw err;
+    return { error: { status: err.status, message: err.message } };
+  }
+  // budgets are charged to the projects the filters actually matched
+  const projects = usageProjects(filters, dataCtx);
+
+  let intentDetection;
+  if (intent_override && String(intent_override).trim()) {
+    const name = String(intent_override).trim().toUpperCase();
+    if (!intentConfig.intents[name]) {
+      const detail = `Unknown intent_override "${intent_override}" (use ${intentNames().join(", ")}).`;
+      return { error: { status: 400, message: detail } };
+    }
+    intentDetection = { intent: name, confidence: 1, method: "override", intents: [], usage: null };
+  } else {
+    // the LLM fallback spends tokens, so it is skipped once a budget is used up
+    intentDetection = await classifyIntent(message, { allowLLM: !checkBudgets(user, projects) });
+  }
+  const intent = intentDetection.intent;
+  if (intentDetection.usage) recordUsage({ user, filters, projects, intent }, intentDetection.usage);
+  const intentRules = getIntentOutputRules(intent);
+
+  const neededRole = INTENT_MIN_ROLE[intent];
+  if (neededRole && !hasRole(user, neededRole)) {
+    return { error: { status: 403, message: `The ${intent} intent needs the ${neededRole} role.` } };
+  }
+
+  // force_refresh skips the stored answer (and replaces it with a fresh one)
+  const cacheKey = responseCacheKey({ message, filters, intent, session, dataCtx });
+  const cachedReply = body?.force_refresh ? null : getCachedReply(cacheKey);
+
+  // cached answers cost nothing, so only fresh calls count against budgets
+  if (!cachedReply) {
+    const overBudget = checkBudgets(user, projects);
+    if (overBudget) return { error: overBudget };
+  }
+
+  const monFiltered = dataCtx.monitoring.filtered;
+  const evalFiltered = dataCtx.evaluation.filtered;
+
+  const monArgs = [monFiltered.header, monFiltered.data, monFiltered.columns, monFiltered.scoring];
+  const evalArgs = [evalFiltered.header, evalFiltered.data, evalFiltered.columns, evalFiltered.scoring];
+
+  const monitoringSummary = summariseMonitoring(...monArgs);
+  const evaluationSummary = summariseEvaluation(...evalArgs);
+
+  const monVisuals = computeVisualsFromMonitoring(...monArgs);
+  const evalVisuals = computeVisualsFromEvaluation(...evalArgs);
+  const combinedVisuals = mergeVisuals(monVisuals, evalVisuals);
+  const breakdowns = computeBreakdowns(monFiltered, evalFiltered);
+  const targets = computeTargets(dataCtx.targets, dataCtx.monitoring);
+  const qualitative = analyseQualitative(dataCtx.monitoring);
+  const dataQuality = [
+    checkDataQuality("monitoring", dataCtx.monitoring),
+    checkDataQuality("evaluation", dataCtx.evaluation),
+  ];
+
+  const filterText = `
+Dashboard Context:
+${describeFilters(filters)
+  .map(([label, value]) => `- ${label}: ${value}`)
+  .join("\n")}
+`.trim();
+
+  const includeLiveDataInPrompt = LIVE_DATA_INTENTS.has(intent);
+  const retrieval = includeLiveDataInPrompt ? retrieveRows(message, dataCtx) : null;
+  const metrics = metricCatalogue({ monFiltered, evalFiltered, monVisuals, evalVisuals, combinedVisuals });
 
-    const liveDataBlock = includeLiveDataInPrompt
-      ? `
+  const liveDataBlock = includeLiveDataInPrompt
+    ? `
 ${filterText}
 
 LIVE MONITORING SUMMARY:
@@ -846,23 +5907,41 @@ ${monitoringSummary}
 
 LIVE EVALUATION SUMMARY:
 ${evaluationSummary}
+
+BREAKDOWN BY LOCATION / PROJECT / PERIOD (overall KPI %, best and worst groups):
+${describeBreakdowns(breakdowns)}
+
+TARGETS VS ACTUALS (achievement = actual ÷ target; expected = share of the target period elapsed):
+${describeTargets(targets)}
+
+QUALITATIVE THEMES (achievements, challenges and actions across all filtered monitoring records):
+${describeQualitative(qualitative)}
+
+RELEVANT RECORDS (cite the ids in square brackets, e.g. [M12], when a statement relies on a record):
+${describeRetrieval(retrieval)}
+
+METRIC IDS (cite these in the *_sources lists):
+${describeMetricIds(metrics)}
+
+DATA QUALITY (caveat any finding that relies on flagged rows):
+${describeDataQuality(dataQuality)}
 `.trim()
-      : `
+    : `
 NOTE: LIVE summaries are intentionally NOT provided for this request.
 Answer as general MEL guidance (do not assume project performance).
 `.trim();
 
-    const visualsBlock = `
+  const visualsBlock = `
 VISUALS DATA (USE EXACTLY AS GIVEN; DO NOT INVENT):
-- Monitoring KPI scores: ${JSON.stringify(monVisuals.kpi_scores)}
+- Monitoring KPI scores: ${JSON.stringify(schemaKpiScores(monVisuals.kpi_scores))}
 - Monitoring distribution: ${JSON.stringify(monVisuals.distribution)}
-- Evaluation KPI scores: ${JSON.stringify(evalVisuals.kpi_scores)}
+- Evaluation KPI scores: ${JSON.stringify(schemaKpiScores(evalVisuals.kpi_scores))}
 - Evaluation distribution: ${JSON.stringify(evalVisuals.distribution)}
 - Combined score percent: ${JSON.stringify(combinedVisuals.combined_score_percent)}
 - Combined distribution: ${JSON.stringify(combinedVisuals.combined_distribution)}
 `.trim();
 
-    const userPrompt = `
+  const userPrompt = `
 ${intentRules}
 
 ${liveDataBlock}
@@ -876,131 +5955,361 @@ Output rules:
 - Put the main answer in report_markdown (use clean headings/bullets).
 - key_findings: 3–7 items, never empty.
 - recommendations: 3–7 items, never empty.
+- key_finding_sources / recommendation_sources: one entry per item, in the same order, listing the record ids
+  (rows, e.g. "M12") and metric ids (metrics, e.g. "monitoring.budget") it relies on; empty lists for general guidance.
 - visuals must reflect the numbers provided above.
 `.trim();
 
-    const MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
+  return {
+    message,
+    filters,
+    user,
+    projects,
+    intent,
+    intentDetection,
+    userPrompt,
+    session,
+    dataCtx,
+    monFiltered,
+    evalFiltered,
+    monVisuals,
+    evalVisuals,
+    combinedVisuals,
+    breakdowns,
+    targets,
+    qualitative,
+    retrieval,
+    dataQuality,
+    liveData: includeLiveDataInPrompt,
+    cacheKey,
+    cachedReply,
+  };
+}
 
-    const openaiResponse = await fetch("https://api.openai.com/v1/responses", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-      },
-      body: JSON.stringify({
-        model: MODEL,
-        temperature: 0.2,
-        input: [
-          { role: "system", content: SYSTEM_PROMPT },
-          { role: "user", content: userPrompt },
-        ],
+function chatMessages(chat) {
+  return [
+    { role: "system", content: SYSTEM_PROMPT },
+    ...sessionHistoryInput(chat.session),
+    { role: "user", content: chat.userPrompt },
+  ];
+}
 
-        // ✅ FIX: Correct Structured Outputs format for Responses API
-        text: {
-          format: {
-            type: "json_schema",
-            name: JSON_SCHEMA.name,
-            strict: JSON_SCHEMA.strict,
-            schema: JSON_SCHEMA.schema,
-          },
-        },
-      }),
-    });
+function cleanStringList(list) {
+  return Array.isArray(list) ? list.map((x) => (typeof x === "string" ? x.trim() : "")).filter(Boolean) : [];
+}
 
-    if (!openaiResponse.ok) {
-      let errorBody = null;
-      try {
-        errorBody = await openaiResponse.json();
-      } catch {
-        const text = await openaiResponse.text();
-        errorBody = { raw: text };
-      }
+// Fill a findings/recommendations list up to 3–7 items, recording any patch.
+function patchList(field, list, fallback, patched) {
+  const cleaned = cleanStringList(list);
 
-      console.error("OpenAI API error:", openaiResponse.status, JSON.stringify(errorBody, null, 2));
+  if (!Array.isArray(list) || !cleaned.length) {
+    patched.push({ field, action: "replaced_with_fallback", reason: "missing or empty" });
+    return fallback;
+  }
+  if (cleaned.length !== list.length) {
+    patched.push({ field, action: "removed_invalid_items", reason: `${list.length - cleaned.length} non-string or empty item(s)` });
+  }
+  if (cleaned.length < 3) {
+    patched.push({ field, action: "padded_with_fallback", reason: `only ${cleaned.length} item(s)` });
+    return [...cleaned, ...fallback].slice(0, 3);
+  }
+  if (cleaned.length > 7) {
+    patched.push({ field, action: "truncated", reason: `${cleaned.length} items` });
+    return cleaned.slice(0, 7);
+  }
+  return cleaned;
+}
 
-      return res.status(openaiResponse.status).json({
-        success: false,
-        error: errorBody?.error?.message || `OpenAI API error (status ${openaiResponse.status})`,
-        status: openaiResponse.status,
-      });
-    }
+// Turn the validated model answer into the response the dashboard expects.
+function buildChatReply(answer, chat) {
+  const { filters, monFiltered, evalFiltered, monVisuals, combinedVisuals, breakdowns, dataCtx } = chat;
+  const rawText = answer.text;
+  const patched = [];
+
+  const validation = {
+    valid: answer.valid,
+    attempts: answer.attempts,
+    errors: answer.errors,
+    patched_fields: patched,
+  };
 
-    const data = await openaiResponse.json();
+  const common = {
+    visuals: {
+      kpi_scores: monVisuals.kpi_scores,
+      distribution: monVisuals.distribution,
+      trends: monVisuals.trends,
+      breakdowns,
+      combined_score_percent: combinedVisuals.combined_score_percent,
+      combined_distribution: combinedVisuals.combined_distribution,
+      scoring: { monitoring: monFiltered.scoring, evaluation: evalFiltered.scoring },
+      targets: chat.targets,
+    },
+    used_filters: filters || {},
+    monitoring_records_used: monFiltered.data?.length || 0,
+    evaluation_records_used: evalFiltered.data?.length || 0,
+    data_as_of: dataCtx.dataAsOf,
+    datasets_used: dataCtx.datasetsUsed,
+    column_issues: dataCtx.columnIssues,
+    ignored_filters: dataCtx.ignoredFilters,
+    retrieval: retrievalOverview(chat.retrieval),
+    intent_detection: describeIntentDetection(chat.intentDetection),
+    data_quality: {
+      monitoring: qualityOverview(chat.dataQuality[0]),
+      evaluation: qualityOverview(chat.dataQuality[1]),
+    },
+    cached: false,
+  };
 
-    // ✅ FIX: Extract robustly
-    const rawText = extractResponseText(data);
+  const aiJson = answer.json;
 
-    const aiJson = safeParseAiJson(rawText);
+  if (!aiJson || typeof aiJson !== "object") {
+    const rawCheck = factCheckAnswer({ report_markdown: rawText || "", key_findings: [], recommendations: [] }, chat);
+    return {
+      success: true,
+      reply: rawCheck.texts.report_markdown || "AI returned no usable JSON. Showing raw response.",
+      citations: null,
+      fact_check: rawCheck.report,
+      ...common,
+      validation,
+      note: "AI response was not valid JSON; returned raw text + backend visuals.",
+    };
+  }
 
-    if (!aiJson || typeof aiJson !== "object") {
-      return res.json({
-        success: true,
-        reply: rawText || "AI returned no usable JSON. Showing raw response.",
-        visuals: {
-          kpi_scores: monVisuals.kpi_scores,
-          distribution: monVisuals.distribution,
-          combined_score_percent: combinedVisuals.combined_score_percent,
-          combined_distribution: combinedVisuals.combined_distribution,
-        },
-        used_filters: filters || {},
-        monitoring_records_used: monFiltered.data?.length || 0,
-        evaluation_records_used: evalFiltered.data?.length || 0,
-        note: "AI response was not valid JSON; returned raw text + backend visuals.",
-      });
-    }
+  let safeTitle = (typeof aiJson.report_title === "string" && aiJson.report_title.trim()) || "";
+  if (!safeTitle) {
+    safeTitle = "ProMEL MEL Output";
+    patched.push({ field: "report_title", action: "replaced_with_fallback", reason: "missing or empty" });
+  }
 
-    const safeTitle =
-      (aiJson.report_title && String(aiJson.report_title).trim()) || "ProMEL MEL Output";
+  const safeFindings = patchList("key_findings", aiJson.key_findings, FALLBACK_FINDINGS, patched);
+  const safeRecs = patchList("recommendations", aiJson.recommendations, FALLBACK_RECOMMENDATIONS, patched);
 
-    const safeFindings =
-      Array.isArray(aiJson.key_findings) && aiJson.key_findings.length
-        ? aiJson.key_findings
-        : [
-            "Clear MEL concepts and tools improve decision-making and accountability throughout the project cycle.",
-            "Using fit-for-purpose indicators and data collection methods increases the reliability of findings and learning.",
-            "Regular reflection and adaptive action planning strengthens outcomes and sustainability over time.",
-          ];
+  const replyTextRaw = (typeof aiJson.report_markdown === "string" && aiJson.report_markdown.trim()) || "";
+  if (!replyTextRaw) {
+    patched.push({ field: "report_markdown", action: "generated_from_lists", reason: "missing or empty" });
+  }
+  const replyText =
+    replyTextRaw ||
+    `# ${safeTitle}\n\n` +
+      `## Key Findings\n- ${safeFindings.join("\n- ")}\n\n` +
+      `## Recommendations\n- ${safeRecs.join("\n- ")}\n`;
+
+  const citations = buildCitations(aiJson, { key_findings: safeFindings, recommendations: safeRecs }, chat);
+  const factCheck = factCheckAnswer(
+    { report_markdown: replyText, key_findings: safeFindings, recommendations: safeRecs },
+    chat
+  );
 
-    const safeRecs =
-      Array.isArray(aiJson.recommendations) && aiJson.recommendations.length
-        ? aiJson.recommendations
-        : [
-            "Use an intent-based approach: definitions, tools, analysis, and reports should be produced only when requested.",
-            "Standardize templates (indicators, tools, learning notes) so teams apply MEL consistently across projects.",
-            "Institutionalize periodic learning reviews and management action tracking to close feedback loops.",
-          ];
+  return {
+    success: true,
+    reply: factCheck.texts.report_markdown,
+    report_title: safeTitle,
+    key_findings: factCheck.texts.key_findings,
+    recommendations: factCheck.texts.recommendations,
+    citations,
+    fact_check: factCheck.report,
+    ...common,
+    validation,
+    detected_intent: chat.intent,
+  };
+}
 
-    const replyTextRaw = (aiJson.report_markdown && String(aiJson.report_markdown).trim()) || "";
-    const replyText =
-      replyTextRaw ||
-      `# ${safeTitle}\n\n` +
-        `## Key Findings\n- ${safeFindings.join("\n- ")}\n\n` +
-        `## Recommendations\n- ${safeRecs.join("\n- ")}\n`;
+// =====================================================
+// Main AI endpoint for your dashboard card
+// =====================================================
+app.post("/api/pas-ai-chat", chatRateLimit, async (req, res) => {
+  let chat = null;
+  try {
+    chat = await prepareChat(req.body, req.user);
+    if (chat.error) {
+      return res.status(chat.error.status).json({ success: false, error: chat.error.message });
+    }
+    if (chat.cachedReply) return res.json(cachedChatReply(chat));
 
-    return res.json({
-      success: true,
-      reply: replyText,
-      report_title: safeTitle,
-      key_findings: safeFindings,
-      recommendations: safeRecs,
-      visuals: {
-        kpi_scores: monVisuals.kpi_scores,
-        distribution: monVisuals.distribution,
-        combined_score_percent: combinedVisuals.combined_score_percent,
-        combined_distribution: combinedVisuals.combined_distribution,
-      },
-      used_filters: filters || {},
-      monitoring_records_used: monFiltered.data?.length || 0,
-      evaluation_records_used: evalFiltered.data?.length || 0,
-      detected_intent: intent,
+    const completion = await llmProvider.complete({
+      messages: chatMessages(chat),
+      schema: JSON_SCHEMA,
+      context: chat,
     });
+
+    const answer = await validateWithRepair(chat, completion);
+
+    const reply = buildChatReply(answer, chat);
+    storeCachedReply(chat, reply);
+    reply.session_id = recordSessionTurn(chat, reply);
+    reply.usage = describeUsage(recordChatUsage(chat));
+    return res.json(reply);
   } catch (err) {
+    if (err.isProviderError) {
+      return res.status(err.status).json({ success: false, error: err.message, status: err.status });
+    }
     console.error("Backend error in /api/pas-ai-chat:", err);
     return res.status(500).json({ success: false, error: "Server error in /api/pas-ai-chat" });
+  } finally {
+    recordChatUsage(chat);
   }
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`ProMEL OpenAI backend listening on http://localhost:${PORT}`);
+// =====================================================
+// Streaming AI endpoint (Server-Sent Events)
+// =====================================================
+// Events: "progress" { stage }, "markdown" { delta } while report_markdown is
+// being written, then "final" (same body as /api/pas-ai-chat) or "error".
+function sendSse(res, event, data) {
+  if (res.writableEnded) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Incrementally decodes one string field (e.g. report_markdown) out of a
+// JSON document that is still being streamed.
+function createJsonStringFieldReader(field) {
+  const keyPattern = new RegExp(`"${field}"\\s*:\\s*"`);
+  let start = -1;
+  let pos = 0;
+  let done = false;
+
+  return (fullText) => {
+    if (done) return "";
+    if (start === -1) {
+      const m = keyPattern.exec(fullText);
+      if (!m) return "";
+      start = m.index + m[0].length;
+      pos = start;
+    }
+
+    let out = "";
+    while (pos < fullText.length) {
+      const ch = fullText[pos];
+      if (ch === '"') {
+        done = true;
+        break;
+      }
+      if (ch !== "\\") {
+        out += ch;
+        pos++;
+        continue;
+      }
+
+      const esc = fullText[pos + 1];
+      if (esc === undefined) break;
+      if (esc === "u") {
+        const hex = fullText.slice(pos + 2, pos + 6);
+        if (hex.length < 4) break;
+        out += String.fromCharCode(parseInt(hex, 16));
+        pos += 6;
+        continue;
+      }
+      out += { n: "\n", t: "\t", r: "\r", b: "\b", f: "\f" }[esc] ?? esc;
+      pos += 2;
+    }
+    return out;
+  };
+}
+
+app.post("/api/pas-ai-chat/stream", chatRateLimit, async (req, res) => {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders();
+
+  let chat = null;
+  let rawText = "";
+  try {
+    sendSse(res, "progress", { stage: "loading_data" });
+    chat = await prepareChat(req.body, req.user);
+    if (chat.error) {
+      sendSse(res, "error", { success: false, error: chat.error.message, status: chat.error.status });
+      return res.end();
+    }
+    if (chat.cachedReply) {
+      const reply = cachedChatReply(chat);
+      sendSse(res, "markdown", { delta: reply.reply });
+      sendSse(res, "final", reply);
+      return res.end();
+    }
+
+    sendSse(res, "progress", {
+      stage: "calling_model",
+      detected_intent: chat.intent,
+      monitoring_records_used: chat.monFiltered.data.length,
+      evaluation_records_used: chat.evalFiltered.data.length,
+    });
+
+    const readMarkdown = createJsonStringFieldReader("report_markdown");
+    let finalText = "";
+    let finalUsage = null;
+    let announced = false;
+
+    const upstream = llmProvider.stream({
+      messages: chatMessages(chat),
+      schema: JSON_SCHEMA,
+      signal: controller.signal,
+      context: chat,
+    });
+
+    for await (const chunk of upstream) {
+      if (chunk.done) {
+        finalText = chunk.text || rawText;
+        finalUsage = chunk.usage;
+        chat.usage = addUsage(null, finalUsage);
+        break;
+      }
+      if (!announced) {
+        sendSse(res, "progress", { stage: "generating" });
+        announced = true;
+      }
+      rawText += chunk.delta;
+      const delta = readMarkdown(rawText);
+      if (delta) sendSse(res, "markdown", { delta });
+    }
+
+    let answer = checkAiAnswer(finalText);
+    if (!answer.valid && AI_REPAIR_RETRIES > 0) {
+      sendSse(res, "progress", { stage: "repairing", errors: answer.errors });
+    }
+    answer = await validateWithRepair(chat, { text: finalText, usage: finalUsage }, { signal: controller.signal });
+
+    sendSse(res, "progress", { stage: "finalising" });
+    const reply = buildChatReply(answer, chat);
+    storeCachedReply(chat, reply);
+    reply.session_id = recordSessionTurn(chat, reply);
+    reply.usage = describeUsage(recordChatUsage(chat));
+    sendSse(res, "final", reply);
+    return res.end();
+  } catch (err) {
+    if (controller.signal.aborted) {
+      // client went away; upstream request cancelled. A generation cut off
+      // before the provider reported usage is estimated from what was sent.
+      if (chat && !chat.error && !chat.usage && rawText) {
+        const input = estimateTokens(chatMessages(chat).map((m) => m.content).join("\n"));
+        const output = estimateTokens(rawText);
+        chat.usage = { input_tokens: input, output_tokens: output, total_tokens: input + output };
+      }
+      return;
+    }
+    if (err.isProviderError) {
+      sendSse(res, "error", { success: false, error: err.message, status: err.status });
+      return res.end();
+    }
+    console.error("Backend error in /api/pas-ai-chat/stream:", err);
+    sendSse(res, "error", { success: false, error: "Server error in /api/pas-ai-chat/stream" });
+    return res.end();
+  } finally {
+    recordChatUsage(chat);
+  }
 });
+
+// Start server (only when run directly; the tests import the fact checker)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  app.listen(PORT, () => {
+    console.log(`ProMEL OpenAI backend listening on http://localhost:${PORT} (LLM provider: ${llmProvider.name})`);
+  });
+}
+
+export { extractFigures, factCheckText };
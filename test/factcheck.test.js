@@ -0,0 +1,65 @@
+// Guards the fact checker's figure extraction: ratings, dates, thousands
+// separators, list numbers and years, and that a bare count is only compared
+// with the metric named next to it. server.js is imported (not started) with
+// the mock provider and throwaway session/usage files.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+let tmpDir;
+let extractFigures;
+let factCheckText;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "promel-factcheck-"));
+  Object.assign(process.env, {
+    LLM_PROVIDER: "mock",
+    API_KEYS: "",
+    AUTH_JWT_SECRET: "",
+    SESSIONS_FILE: path.join(tmpDir, "sessions.json"),
+    USAGE_FILE: path.join(tmpDir, "usage.json"),
+  });
+  ({ extractFigures, factCheckText } = await import("../server.js"));
+});
+
+after(async () => {
+  if (tmpDir) await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+const figuresOf = (text) => extractFigures(text).map(({ value, unit }) => ({ value, unit }));
+
+test("ratings out of a scale are one figure", () => {
+  assert.deepEqual(figuresOf("The average score was 3.5/5 this quarter."), [{ value: 3.5, unit: "rating" }]);
+  assert.deepEqual(figuresOf("Lae scored 4/5."), [{ value: 4, unit: "rating" }]);
+  assert.deepEqual(figuresOf("Lae scored 3.5 / 5."), [{ value: 3.5, unit: "rating" }]);
+  assert.deepEqual(figuresOf("2 out of 5 sites"), [{ value: 2, unit: "rating" }]);
+});
+
+test("dates are not figures", () => {
+  assert.deepEqual(figuresOf("Submitted on 12/05/2025."), []);
+  assert.deepEqual(figuresOf("Submitted on 2025-05-12."), []);
+});
+
+test("thousands separators and percentages are read", () => {
+  assert.deepEqual(figuresOf("We reached 1,234 people."), [{ value: 1234, unit: "count" }]);
+  assert.deepEqual(figuresOf("Coverage was 40% in Lae."), [{ value: 40, unit: "percent" }]);
+});
+
+test("list numbers and years are skipped", () => {
+  assert.deepEqual(figuresOf("1. Improve reporting\n2. Train staff"), []);
+  assert.deepEqual(figuresOf("In 2025 the programme expanded."), []);
+});
+
+test("a bare count is only compared with the metric named next to it", () => {
+  const figures = [{ label: "monitoring records", keywords: ["record"], unit: "count", value: 3, headline: true }];
+  const { results } = factCheckText("answer", "Over the last 6 months, 3 records were submitted.", figures);
+  const byValue = Object.fromEntries(results.map((f) => [f.value, f.status]));
+  assert.deepEqual(byValue, { 6: "unverified", 3: "matched" });
+
+  const wrong = factCheckText("answer", "Over the last 6 months, 5 records were submitted.", figures);
+  const five = wrong.results.find((f) => f.value === 5);
+  assert.equal(five.status, "mismatch");
+  assert.equal(five.expected, 3);
+});
@@ -0,0 +1,112 @@
+// Guards the intent rules against regressions: every example in the labelled
+// corpus (config/intents.corpus.json) must be routed to its intent by the
+// built-in rules alone (a local config/intents.json is ignored). The server
+// is started on a free port with the mock provider and the corpus is run
+// through GET /api/intents?evaluate=true.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import fs from "node:fs/promises";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const STARTUP_TIMEOUT_MS = 15000;
+
+let server;
+let baseUrl;
+let tmpDir;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForServer(url, child) {
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) throw new Error(`Server exited with code ${child.exitCode}.`);
+    try {
+      const res = await fetch(url);
+      if (res.ok) return;
+    } catch {
+      // not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error(`Server did not start within ${STARTUP_TIMEOUT_MS} ms.`);
+}
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "promel-intents-"));
+  const port = await freePort();
+  baseUrl = `http://localhost:${port}`;
+
+  let output = "";
+  server = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      LLM_PROVIDER: "mock",
+      INTENT_LLM_FALLBACK: "false",
+      API_KEYS: "",
+      AUTH_JWT_SECRET: "",
+      // the built-in rules against the shipped corpus, whatever the local config
+      INTENTS_CONFIG: path.join(tmpDir, "intents.json"),
+      INTENTS_CORPUS: path.join(ROOT, "config/intents.corpus.json"),
+      SESSIONS_FILE: path.join(tmpDir, "sessions.json"),
+      USAGE_FILE: path.join(tmpDir, "usage.json"),
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  server.stdout.on("data", (chunk) => (output += chunk));
+  server.stderr.on("data", (chunk) => (output += chunk));
+
+  try {
+    await waitForServer(`${baseUrl}/`, server);
+  } catch (err) {
+    server.kill();
+    throw new Error(`${err.message}\n${output}`);
+  }
+});
+
+after(async () => {
+  if (server && server.exitCode === null) {
+    const exited = new Promise((resolve) => server.once("exit", resolve));
+    server.kill();
+    await exited;
+  }
+  if (tmpDir) await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test("labelled corpus is classified correctly by the intent rules", async () => {
+  const res = await fetch(`${baseUrl}/api/intents?evaluate=true`);
+  const body = await res.json();
+  assert.equal(res.status, 200, body.error);
+
+  const { evaluation } = body;
+  assert.ok(evaluation.examples > 0, "the corpus has no examples");
+
+  const failures = evaluation.failures
+    .map((f) => `  "${f.message}": expected ${f.expected}, got ${f.detected} (confidence ${f.confidence})`)
+    .join("\n");
+  assert.equal(evaluation.correct, evaluation.examples, `misclassified examples:\n${failures}`);
+});
+
+test("corpus covers every configured intent", async () => {
+  const res = await fetch(`${baseUrl}/api/intents?evaluate=true`);
+  const body = await res.json();
+  const covered = Object.keys(body.evaluation.by_intent);
+  const missing = body.intents.map((i) => i.intent).filter((name) => !covered.includes(name));
+  assert.deepEqual(missing, [], `no corpus examples for: ${missing.join(", ")}`);
+});